@@ -234,6 +234,11 @@ for (const [serverName, serverConfig] of Object.entries(mcpConfig.mcpServers)) {
     });
   }
 
+  // Remote (http/sse) servers are not spawned, so there is no environment to pass
+  if (serverConfig.url) {
+    continue;
+  }
+
   // Set environment variable for working directory so MCP server knows where to operate
   if (!serverConfig.env) {
     serverConfig.env = {};
@@ -247,7 +252,8 @@ if (mcpServerNames.length > 0) {
     const server = mcpConfig.mcpServers[serverName];
     const isLast = index === mcpServerNames.length - 1;
     const prefix = isLast ? '   └─' : '   ├─';
-    console.log(chalk.gray(`${prefix} ${serverName}: ${server.command} ${server.args.join(' ')}`));
+    const target = server.url ? `${server.type} ${server.url}` : `${server.command} ${(server.args || []).join(' ')}`;
+    console.log(chalk.gray(`${prefix} ${serverName}: ${target}`));
   });
   console.log(chalk.green(`   ✓ ${mcpServerNames.length} MCP server(s) configured`));
 } else {
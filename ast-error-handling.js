@@ -76,6 +76,19 @@ export class TimeoutError extends ToolError {
   }
 }
 
+// An execute call ran past one of its timeoutMs / maxMemoryMb / maxOutputBytes limits
+export class ResourceLimitError extends ToolError {
+  constructor(message, limit, value) {
+    super(message, 'RESOURCE_LIMIT', 'execute', false, [
+      'Process the data in smaller batches',
+      `Raise ${limit} above ${value} if the work really needs it`
+    ]);
+    this.name = 'ResourceLimitError';
+    this.limit = limit;
+    this.value = value;
+  }
+}
+
 export class ASTError extends ToolError {
   constructor(message, toolName = 'ast-tool', suggestions = []) {
     super(message, 'AST_ERROR', toolName, false, [
@@ -618,21 +618,32 @@ async function runProjectWideLint() {
   }
 }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+// Files a call wrote are listed in the result's _meta, so execute can report them whatever the tools are named
+const FILES_WRITTEN_META = 'codemode/filesWritten';
+
+// Files an ASTReplace pattern run changed on disk
+function modifiedFiles(result, filePath) {
+  if (result.dryRun) return [];
+  if (result.results) return result.results.filter(fileResult => fileResult.modified).map(fileResult => fileResult.file);
+  return result.modified ? [filePath] : [];
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
 
   try {
     let result;
+    const filesWritten = [];
 
     switch (name) {
       case 'Read':
         result = await handleRead(args);
         break;
       case 'Write':
-        result = await handleWrite(args);
+        result = await handleWrite(args, filesWritten);
         break;
       case 'Edit':
-        result = await handleEdit(args);
+        result = await handleEdit(args, filesWritten);
         break;
       case 'Glob':
         result = await handleGlob(args);
@@ -641,7 +652,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         result = await handleGrep(args);
         break;
       case 'Bash':
-        result = await handleBash(args);
+        result = await handleBash(args, extra?.signal);
         break;
       case 'LS':
         result = await handleLS(args);
@@ -659,10 +670,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         result = await handleASTSearch(args);
         break;
       case 'ASTReplace':
-        result = await handleASTReplace(args);
+        result = await handleASTReplace(args, filesWritten);
         break;
       case 'ASTModify':
-        result = await handleASTModify(args);
+        result = await handleASTModify(args, filesWritten);
         break;
       default:
         throw new Error(`Unknown tool: ${name}`);
@@ -684,7 +695,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       content: [{
         type: 'text',
         text: result
-      }]
+      }],
+      ...(filesWritten.length > 0 && { _meta: { [FILES_WRITTEN_META]: [...new Set(filesWritten)] } })
     };
   } catch (error) {
     return {
@@ -730,7 +742,7 @@ async function handleRead(args) {
   return result;
 }
 
-async function handleWrite(args) {
+async function handleWrite(args, filesWritten) {
   const { file_path, content } = args;
   const absPath = resolvePath(WORKING_DIRECTORY, file_path);
   const fileExists = existsSync(absPath);
@@ -750,6 +762,7 @@ async function handleWrite(args) {
   // ESCAPE-SAFE: Apply MCP corruption protection
   const safeContent = applyEscapeSafeTransformation(content);
   writeFileSync(absPath, safeContent, 'utf8');
+  filesWritten.push(absPath);
 
   const action = fileExists ? 'overwrote' : 'created';
   const corruptionProtection = safeContent !== content ? ' with MCP corruption protection' : '';
@@ -801,7 +814,7 @@ function applyEscapeSafeTransformation(content) {
   return safeContent;
 }
 
-async function handleEdit(args) {
+async function handleEdit(args, filesWritten) {
   const { file_path, old_string, new_string, replace_all = false } = args;
   const absPath = resolvePath(WORKING_DIRECTORY, file_path);
 
@@ -834,6 +847,7 @@ async function handleEdit(args) {
 
   if (content !== originalContent) {
     writeFileSync(absPath, content, 'utf8');
+    filesWritten.push(absPath);
   }
 
   const action = replace_all ? 'replaced all occurrences' : 'replaced';
@@ -921,7 +935,8 @@ async function handleGrep(args) {
   });
 }
 
-async function handleBash(args) {
+// signal aborts when the client cancels the request (the execution calling Bash was killed)
+async function handleBash(args, signal) {
   const { command, description, timeout = 120000 } = args;
 
   return new Promise((resolve, reject) => {
@@ -935,13 +950,33 @@ async function handleBash(args) {
       return;
     }
 
+    if (signal?.aborted) {
+      reject(new Error('Command cancelled'));
+      return;
+    }
+
+    // Own process group, so cancelling also stops whatever the shell started
     const child = spawn(command, [], {
       shell: true,
       timeout,
       cwd: WORKING_DIRECTORY,
-      env: { ...process.env, TERM: 'xterm-256color' }
+      env: { ...process.env, TERM: 'xterm-256color' },
+      detached: process.platform !== 'win32'
     });
 
+    const cancel = () => {
+      try {
+        if (process.platform === 'win32') {
+          child.kill('SIGTERM');
+        } else {
+          process.kill(-child.pid, 'SIGTERM');
+        }
+      } catch (error) {
+        // Already exited
+      }
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+
     let stdout = '';
     let stderr = '';
 
@@ -949,6 +984,7 @@ async function handleBash(args) {
     child.stderr.on('data', (data) => { stderr += data.toString(); });
 
     child.on('close', (code) => {
+      signal?.removeEventListener('abort', cancel);
       let output = stdout || stderr;
       const prefix = description ? `[${description}] ` : '';
 
@@ -1226,7 +1262,7 @@ async function handleASTSearch(args) {
   }
 }
 
-async function handleASTReplace(args) {
+async function handleASTReplace(args, filesWritten) {
   try {
     const { path, pattern, replacement, language, recursive = true, maxFiles = 50, dryRun = false } = args;
 
@@ -1261,6 +1297,7 @@ async function handleASTReplace(args) {
     if (!result.success) {
       return `ASTReplace error: ${result.error}`;
     }
+    filesWritten.push(...modifiedFiles(result, targetPath));
 
     const insights = helper.generateASTInsights(result.results || [result], 'replace', pattern, replacement);
 
@@ -1315,7 +1352,7 @@ async function handleASTReplace(args) {
   }
 }
 
-async function handleASTModify(args) {
+async function handleASTModify(args, filesWritten) {
   try {
     const { path, transformations, language, dryRun = false, recursive = true, maxFiles = 50 } = args;
 
@@ -1366,6 +1403,7 @@ async function handleASTModify(args) {
         output += `❌ Error: ${result.error}\n\n`;
         continue;
       }
+      filesWritten.push(...modifiedFiles(result, targetPath));
 
       if (result.filesProcessed) {
         output += `   • Files processed: ${result.filesProcessed}\n`;
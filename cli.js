@@ -3,6 +3,7 @@
 const args = process.argv.slice(2);
 const hasMcpFlag = args.includes('--mcp');
 const hasAgentFlag = args.includes('--agent');
+const hasRefreshToolsFlag = args.includes('--refresh-tools');
 
 if (hasMcpFlag && hasAgentFlag) {
   console.error('Error: Cannot use both --mcp and --agent flags');
@@ -13,6 +14,14 @@ if (hasMcpFlag && hasAgentFlag) {
   process.exit(1);
 }
 
+// --mcp handles --refresh-tools itself; otherwise drop the cached tool manifests here
+if (hasRefreshToolsFlag && !hasMcpFlag) {
+  const { ToolManifestCache } = await import('./tool-manifest-cache.js');
+  const removed = new ToolManifestCache().clear();
+  console.error(`Discarded ${removed} cached tool manifest(s)`);
+  if (!hasAgentFlag) process.exit(0);
+}
+
 if (hasMcpFlag) {
   import('./code-mode.js');
 } else if (hasAgentFlag) {
@@ -22,6 +31,7 @@ if (hasMcpFlag) {
   console.error('  codemode-agent --mcp                      Start MCP server mode');
   console.error('  codemode-agent --agent [task]             Start agent mode (interactive by default)');
   console.error('  codemode-agent --agent [task] --no-interactive   Single execution mode');
+  console.error('  codemode-agent --refresh-tools            Discard cached MCP tool manifests');
   console.error('');
   console.error('Examples:');
   console.error('  codemode-agent --mcp');
@@ -3,14 +3,44 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { spawn, fork } from 'child_process';
-import { existsSync, readFileSync } from 'fs';
-import { join, resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { fork } from 'child_process';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { randomUUID } from 'crypto';
+import { join, resolve, dirname, basename } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { TimeoutError } from './ast-error-handling.js';
+import { StdioTransport, StreamableHttpTransport, SseTransport } from './mcp-transports.js';
+import { ToolManifestCache } from './tool-manifest-cache.js';
+import { IMPORT_META_RESOLVE_FLAG } from './sandbox-runtime.js';
+import { generateDeclarations, toolSignature, schemaToType, parameterName, ALIAS_SIGNATURES } from './type-declarations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+const DEFAULT_IDLE_TIMEOUT_MS = 300000; // Lazy servers are stopped after 5 minutes without calls
+const DEFAULT_MAX_SESSIONS = 8; // Named execute sessions kept alive at once; the default session is not counted
+const EXECUTE_LANGUAGES = ['javascript', 'typescript', 'tsx'];
+const OUTPUT_FORMATS = ['text', 'json'];
+const OPERATION_LOG_LEVELS = ['info', 'warn', 'error'];
+const KILL_GRACE_MS = 5000; // A killed execution that hasn't stopped by then gets its worker replaced
+const RECYCLE_SAVE_TIMEOUT_MS = 2000; // How long a worker being replaced gets to hand over its context
+
+// Parameter name variations accepted for LLM flexibility: canonical -> alternatives
+// Replaced by a top-level "paramAliases" in .codemode.json; servers and tools can extend or override it
+const DEFAULT_PARAM_ALIASES = {
+  file_path: ['filePath', 'filename', 'path', 'file'],
+  content: ['text', 'data', 'body'],
+  old_string: ['oldString', 'oldText', 'find'],
+  new_string: ['newString', 'newText', 'replace'],
+  file: ['file_path', 'filePath'],
+  text: ['content', 'data'],
+  command: ['cmd'],
+  description: ['desc'],
+  url: ['uri', 'link']
+};
+
 function loadConfig() {
   const noMcp = process.argv.includes('--nomcp');
   if (noMcp) {
@@ -38,15 +68,61 @@ function loadConfig() {
   }
 }
 
+// Expand ${VAR} references from the environment so one config works on every machine
+function interpolateEnvVars(value, where) {
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`BRUTAL ERROR: Environment variable ${name} referenced in ${where} is not set - NO FALLBACKS`);
+    }
+    return process.env[name];
+  });
+}
+
+// Matches a tool name against includeTools/excludeTools patterns ("*" any run of characters, "?" one character)
+function matchesToolGlob(toolName, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`).test(toolName);
+  });
+}
+
 // Global MCP Server Manager with persistent connections
 class MCPServerManager {
   constructor() {
     this.servers = new Map();
+    this.serverConfigs = new Map();
+    this.restarts = new Map(); // serverName -> { attempts, timer, promise }
+    this.maxRestartAttempts = 5;
+    this.restartBaseDelay = 1000;
+    this.restartMaxDelay = 30000;
+    this.shuttingDown = false;
+    this.manifestCache = new ToolManifestCache();
+    this.reportedToolConflicts = new Set();
+    // `${serverName} ${uri}` -> { serverName, uri, subscribers, ready }: the workers subscribed to a resource
+    // Sessions share the servers, so the server stays subscribed until the last worker unsubscribes
+    this.resourceSubscriptions = new Map();
+    // Called with (serverName, reason) whenever a server's tool list changes, e.g. after a restart
+    this.onToolsChanged = null;
+    // Called with (execId, serverName, toolName, progress) for progress notifications of in-flight tool calls
+    this.onProgress = null;
+    // Called with (serverName, params) to fulfil a server's sampling/createMessage request
+    this.onSamplingRequest = null;
+    // Called with (serverName, uri) when a subscribed resource changes
+    this.onResourceUpdated = null;
   }
 
   async initialize(config, configDir) {
     console.error('[MCP Manager] Initializing persistent MCP servers...');
     this.configDir = configDir;
+    this.manifestCache.configDir = configDir;
+
+    this.validateParamAliases('paramAliases', config.paramAliases);
+    this.defaultParamAliases = config.paramAliases ?? DEFAULT_PARAM_ALIASES;
+
+    if (process.argv.includes('--refresh-tools')) {
+      const removed = this.manifestCache.clear();
+      console.error(`[MCP Manager] --refresh-tools: discarded ${removed} cached tool manifest(s)`);
+    }
 
     if (!config.mcpServers) {
     throw new Error('BRUTAL ERROR: config.mcpServers is undefined - NO FALLBACKS');
@@ -55,6 +131,23 @@ class MCPServerManager {
       if (serverName === 'codemode') continue;
 
       try {
+        const manifest = this.manifestCache.get(serverName, serverConfig);
+        if (manifest) {
+          // Tools are published from the cache right away; calls wait for the server to come up
+          this.registerDormantServer(serverName, serverConfig, manifest);
+          if (serverConfig.lazy) {
+            console.error(`[MCP Manager] ✓ ${serverName}: lazy, ${manifest.tools.length} tool(s) from cached manifest (${manifest.cachedAt})`);
+          } else {
+            console.error(`[MCP Manager] ✓ ${serverName}: ${manifest.tools.length} tool(s) from cached manifest, revalidating in background`);
+            this.ensureServer(serverName).catch((error) => {
+              console.error(`[MCP Manager] Background start of ${serverName} failed:`, error.message);
+            });
+          }
+          continue;
+        }
+        if (serverConfig.lazy) {
+          console.error(`[MCP Manager] ${serverName} is lazy but has no cached manifest - starting it once to discover tools`);
+        }
         await this.startServer(serverName, serverConfig);
       } catch (error) {
         console.error(`[MCP Manager] Failed to start ${serverName}:`, error.message);
@@ -64,95 +157,175 @@ class MCPServerManager {
     console.error('[MCP Manager] Initialization complete');
   }
 
-  async startServer(serverName, serverConfig) {
-    console.error(`[MCP Manager] Starting ${serverName}...`);
-
-    // Resolve relative paths in args relative to config directory
-    const resolvedArgs = serverConfig.args.map(arg => {
-      // If arg looks like a relative path to a .js file and doesn't start with a flag
-      if (arg.endsWith('.js') && !arg.startsWith('-') && !arg.startsWith('/')) {
-        const resolved = join(this.configDir, arg);
-        console.error(`[MCP Manager]   Resolved ${arg} -> ${resolved}`);
-        return resolved;
-      }
-      return arg;
+  // A dormant server has tools (from a manifest or its last run) but no transport; ensureServer starts it
+  registerDormantServer(serverName, serverConfig, manifest) {
+    this.validateServerConfig(serverName, serverConfig);
+    this.serverConfigs.set(serverName, serverConfig);
+    this.servers.set(serverName, {
+      transport: null,
+      dormant: true,
+      starting: null,
+      tools: manifest.tools,
+      nextId: 0,
+      pendingCalls: new Map(),
+      progressTokens: new Map(),
+      capabilities: manifest.capabilities || {},
+      resources: manifest.resources || [],
+      resourceTemplates: manifest.resourceTemplates || [],
+      prompts: manifest.prompts || [],
+      ready: false
     });
+  }
+
+  // Returns a live server state, spawning dormant servers on first use
+  async ensureServer(serverName) {
+    if (!this.servers.has(serverName) && this.restarts.has(serverName)) {
+      await this.restarts.get(serverName).promise;
+    }
 
-    console.error(`[MCP Manager]   Command: ${serverConfig.command} ${resolvedArgs.join(' ')}`);
+    const serverState = this.servers.get(serverName);
+    if (!serverState) throw new Error(`MCP server ${serverName} not found`);
 
-    let proc;
+    if (!serverState.starting) {
+      if (!serverState.dormant) return serverState;
+      console.error(`[MCP Manager] Starting ${serverName} on demand`);
+      serverState.starting = this.startFromManifest(serverName, serverState);
+      // startServer has already swapped in the live state - concurrent callers wait on the same start
+      this.servers.get(serverName).starting = serverState.starting;
+    }
+    return serverState.starting;
+  }
+
+  // Start a dormant server; until it has listed its own tools the live state serves the cached manifest
+  async startFromManifest(serverName, dormantState) {
     try {
-      proc = spawn(serverConfig.command, resolvedArgs, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        cwd: process.cwd()
-      });
-      console.error(`[MCP Manager]   Process spawned with PID: ${proc.pid}`);
+      await this.startServer(serverName, this.serverConfigs.get(serverName), dormantState);
     } catch (error) {
-      console.error(`[MCP Manager]   Failed to spawn process:`, error.message);
-      throw error;
+      // Stay dormant so the next call tries again
+      const failed = this.servers.get(serverName);
+      if (failed !== dormantState) {
+        if (failed?.transport) failed.transport.close();
+        this.servers.set(serverName, dormantState);
+      }
+      dormantState.starting = null;
+      throw new Error(`MCP server ${serverName} failed to start on demand: ${error.message}`);
     }
 
+    const live = this.servers.get(serverName);
+    live.starting = null;
+
+    // The cached manifest may be stale - refresh the sandbox if the live server disagrees
+    if (JSON.stringify(live.tools) !== JSON.stringify(dormantState.tools)) {
+      await this.notifyToolsChanged(serverName, 'manifest revalidation');
+    }
+    return live;
+  }
+
+  getIdleTimeout(serverName) {
+    const serverConfig = this.serverConfigs.get(serverName) || {};
+    return serverConfig.idleTimeoutMs ?? (serverConfig.lazy ? DEFAULT_IDLE_TIMEOUT_MS : null);
+  }
+
+  // (Re)arm the idle timer after a server was used; servers without an idle timeout run forever
+  scheduleIdleShutdown(serverName, serverState) {
+    const idleTimeoutMs = this.getIdleTimeout(serverName);
+    if (!idleTimeoutMs) return;
+
+    clearTimeout(serverState.idleTimer);
+    serverState.idleTimer = setTimeout(() => this.stopIdleServer(serverName, serverState, idleTimeoutMs), idleTimeoutMs);
+    serverState.idleTimer.unref();
+  }
+
+  stopIdleServer(serverName, serverState, idleTimeoutMs) {
+    if (this.servers.get(serverName) !== serverState || !serverState.ready) return;
+
+    // Busy servers and servers holding resource subscriptions stay up
+    if (serverState.pendingCalls.size > 0 || this.hasResourceSubscriptions(serverName)) {
+      this.scheduleIdleShutdown(serverName, serverState);
+      return;
+    }
+
+    console.error(`[MCP Manager] Stopping ${serverName} after ${idleTimeoutMs}ms idle`);
+    serverState.idleStopping = true;
+    this.registerDormantServer(serverName, this.serverConfigs.get(serverName), serverState);
+    serverState.transport.close();
+  }
+
+  async startServer(serverName, serverConfig, cached = null) {
+    console.error(`[MCP Manager] Starting ${serverName}...`);
+    this.validateServerConfig(serverName, serverConfig);
+    this.serverConfigs.set(serverName, serverConfig);
+
+    const transport = this.createTransport(serverName, serverConfig);
+    console.error(`[MCP Manager]   Transport: ${transport.description}`);
+
     const serverState = {
-      process: proc,
-      tools: [],
+      transport,
+      tools: cached ? cached.tools : [],
       nextId: 0,
-      buffer: '',
-      pendingCalls: new Map()
+      pendingCalls: new Map(),
+      progressTokens: new Map(), // progressToken -> { execId, toolName } of the call that requested progress
+      capabilities: cached ? cached.capabilities : {},
+      resources: cached ? cached.resources : [],
+      resourceTemplates: cached ? cached.resourceTemplates : [],
+      prompts: cached ? cached.prompts : [],
+      idleTimer: null,
+      ready: false
     };
 
     this.servers.set(serverName, serverState);
 
-    proc.stdout.on('data', (data) => {
-      serverState.buffer += data.toString();
-      const lines = serverState.buffer.split('\n');
-      serverState.buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const response = JSON.parse(line);
-            if (serverState.pendingCalls.has(response.id)) {
-              const { resolve, reject } = serverState.pendingCalls.get(response.id);
-              serverState.pendingCalls.delete(response.id);
-
-              if (response.error) {
-                if (!response.error.message) {
-                  console.error('BRUTAL ERROR: response.error has no message property:', response.error);
-                  reject(new Error(`BRUTAL ERROR: MCP error without message: ${JSON.stringify(response.error)}`));
-                } else {
-                  reject(new Error(response.error.message));
-                }
-              } else {
-                resolve(response.result);
-              }
-            }
-          } catch (e) {}
-        }
+    transport.onmessage = (message) => this.handleMessage(serverName, serverState, message);
+    transport.onclose = (reason) => {
+      console.error(`[MCP Manager] ${serverName} closed (${reason})`);
+      if (this.servers.get(serverName) === serverState) {
+        this.servers.delete(serverName);
       }
-    });
 
-    proc.stderr.on('data', (data) => {
-      console.error(`[MCP Manager] ${serverName} stderr:`, data.toString().trim());
-    });
-    proc.on('error', (err) => console.error(`[MCP Manager] ${serverName} error:`, err.message));
-    proc.on('close', () => {
-      console.error(`[MCP Manager] ${serverName} closed`);
-      this.servers.delete(serverName);
-    });
+      clearTimeout(serverState.idleTimer);
+      const willRestart = serverState.ready && !serverState.idleStopping && !this.shuttingDown;
+      this.rejectPendingCalls(serverState, willRestart
+        ? `MCP server ${serverName} crashed and is being restarted - the call was aborted, retry it once the server is back`
+        : `MCP server ${serverName} closed before responding`);
+
+      // Only supervise servers that came up successfully; failed restart attempts are retried by scheduleRestart
+      if (willRestart) {
+        this.scheduleRestart(serverName);
+      }
+    };
+
+    await transport.start();
 
     console.error(`[MCP Manager]   Sending initialize request...`);
-    await this.sendRequest(serverName, {
+    const initResult = await this.sendRequest(serverName, {
       jsonrpc: '2.0',
       id: serverState.nextId++,
       method: 'initialize',
       params: {
         protocolVersion: '2024-11-05',
-        capabilities: {},
+        capabilities: {
+          roots: { listChanged: false },
+          sampling: {}
+        },
         clientInfo: { name: 'codemode-agent', version: '1.0.0' }
       }
-    });
+    }, serverConfig.initTimeoutMs ?? this.getRequestTimeout(serverName));
+    await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
     console.error(`[MCP Manager]   Initialize complete`);
 
+    serverState.capabilities = initResult.capabilities || {};
+
+    await this.listTools(serverName, serverState);
+    await this.listResourcesAndPrompts(serverName, serverState);
+    serverState.ready = true;
+    this.manifestCache.set(serverName, serverConfig, serverState);
+    this.scheduleIdleShutdown(serverName, serverState);
+
+    console.error(`[MCP Manager] ✓ ${serverName}: ${serverState.tools.length} tool(s) loaded`);
+    serverState.tools.forEach(tool => console.error(`[MCP Manager]    - ${tool.name}`));
+  }
+
+  async listTools(serverName, serverState) {
     console.error(`[MCP Manager]   Requesting tools list...`);
     const toolsResult = await this.sendRequest(serverName, {
       jsonrpc: '2.0',
@@ -166,109 +339,723 @@ class MCPServerManager {
       throw new Error('BRUTAL ERROR: toolsResult.tools is undefined - NO FALLBACKS');
     }
     serverState.tools = toolsResult.tools;
+  }
 
-    console.error(`[MCP Manager] ✓ ${serverName}: ${serverState.tools.length} tool(s) loaded`);
-    serverState.tools.forEach(tool => console.error(`[MCP Manager]    - ${tool.name}`));
+  // Resources and prompts are optional - a server that fails to list them still serves its tools
+  async listResourcesAndPrompts(serverName, serverState) {
+    const list = async (method, key) => {
+      try {
+        const result = await this.sendRequest(serverName, { jsonrpc: '2.0', id: serverState.nextId++, method });
+        return result[key] || [];
+      } catch (error) {
+        console.error(`[MCP Manager]   ${method} failed for ${serverName}:`, error.message);
+        return [];
+      }
+    };
+
+    if (serverState.capabilities.resources) {
+      serverState.resources = await list('resources/list', 'resources');
+      serverState.resourceTemplates = await list('resources/templates/list', 'resourceTemplates');
+      console.error(`[MCP Manager]   ${serverState.resources.length} resource(s), ${serverState.resourceTemplates.length} template(s)`);
+    }
+    if (serverState.capabilities.prompts) {
+      serverState.prompts = await list('prompts/list', 'prompts');
+      console.error(`[MCP Manager]   ${serverState.prompts.length} prompt(s)`);
+    }
+  }
+
+  async notifyToolsChanged(serverName, reason) {
+    if (!this.onToolsChanged) return;
+    try {
+      await this.onToolsChanged(serverName, reason);
+    } catch (error) {
+      console.error(`[MCP Manager] Failed to refresh tools after ${reason} of ${serverName}:`, error.message);
+    }
+  }
+
+  createTransport(serverName, serverConfig) {
+    const type = serverConfig.type || 'stdio';
+
+    if (type === 'http' || type === 'sse') {
+      if (!serverConfig.url) {
+        throw new Error(`BRUTAL ERROR: ${serverName} has type "${type}" but no url - NO FALLBACKS`);
+      }
+      const options = {
+        url: interpolateEnvVars(serverConfig.url, `${serverName}.url`),
+        headers: {}
+      };
+      for (const [key, value] of Object.entries(serverConfig.headers || {})) {
+        options.headers[key] = interpolateEnvVars(String(value), `${serverName}.headers.${key}`);
+      }
+      return type === 'http'
+        ? new StreamableHttpTransport(serverName, options)
+        : new SseTransport(serverName, options, serverConfig.initTimeoutMs ?? this.getRequestTimeout(serverName));
+    }
+
+    if (type !== 'stdio') {
+      throw new Error(`BRUTAL ERROR: ${serverName} has unknown type "${type}" - expected "stdio", "http" or "sse"`);
+    }
+    if (!serverConfig.command) {
+      throw new Error(`BRUTAL ERROR: ${serverName} has no command - NO FALLBACKS`);
+    }
+
+    // Resolve relative paths in args relative to config directory
+    const resolvedArgs = (serverConfig.args || []).map(rawArg => {
+      const arg = interpolateEnvVars(rawArg, `${serverName}.args`);
+      // If arg looks like a relative path to a .js file and doesn't start with a flag
+      if (arg.endsWith('.js') && !arg.startsWith('-') && !arg.startsWith('/')) {
+        const resolved = join(this.configDir, arg);
+        console.error(`[MCP Manager]   Resolved ${arg} -> ${resolved}`);
+        return resolved;
+      }
+      return arg;
+    });
+
+    // Config env is merged over the inherited environment, values may reference ${VAR}
+    const env = { ...process.env };
+    for (const [key, value] of Object.entries(serverConfig.env || {})) {
+      env[key] = interpolateEnvVars(String(value), `${serverName}.env.${key}`);
+    }
+
+    // Optional cwd, resolved relative to the config directory
+    const cwd = serverConfig.cwd
+      ? resolve(this.configDir, interpolateEnvVars(serverConfig.cwd, `${serverName}.cwd`))
+      : process.cwd();
+    if (!existsSync(cwd)) {
+      throw new Error(`BRUTAL ERROR: Working directory for ${serverName} does not exist: ${cwd}`);
+    }
+    if (serverConfig.cwd) {
+      console.error(`[MCP Manager]   Working directory: ${cwd}`);
+    }
+
+    return new StdioTransport(serverName, { command: serverConfig.command, args: resolvedArgs, cwd, env });
+  }
+
+  handleMessage(serverName, serverState, message) {
+    if (message.method !== undefined) {
+      if (message.id !== undefined) {
+        this.handleServerRequest(serverName, serverState, message);
+      } else {
+        this.handleNotification(serverName, serverState, message);
+      }
+      return;
+    }
+
+    const response = message;
+    if (serverState.pendingCalls.has(response.id)) {
+      const { resolve, reject } = serverState.pendingCalls.get(response.id);
+      serverState.pendingCalls.delete(response.id);
+
+      if (response.error) {
+        if (!response.error.message) {
+          console.error('BRUTAL ERROR: response.error has no message property:', response.error);
+          reject(new Error(`BRUTAL ERROR: MCP error without message: ${JSON.stringify(response.error)}`));
+        } else {
+          reject(new Error(response.error.message));
+        }
+      } else {
+        resolve(response.result);
+      }
+    }
+  }
+
+  handleNotification(serverName, serverState, notification) {
+    const { method, params = {} } = notification;
+
+    if (method === 'notifications/tools/list_changed') {
+      if (!serverState.ready) return;
+      console.error(`[MCP Manager] ${serverName} tool list changed, re-listing tools`);
+      this.listTools(serverName, serverState)
+        .then(() => {
+          this.manifestCache.set(serverName, this.serverConfigs.get(serverName), serverState);
+          return this.notifyToolsChanged(serverName, 'tools/list_changed');
+        })
+        .catch((error) => console.error(`[MCP Manager] Failed to re-list tools for ${serverName}:`, error.message));
+    } else if (method === 'notifications/resources/list_changed' || method === 'notifications/prompts/list_changed') {
+      if (!serverState.ready) return;
+      this.listResourcesAndPrompts(serverName, serverState)
+        .then(() => this.manifestCache.set(serverName, this.serverConfigs.get(serverName), serverState))
+        .catch((error) => console.error(`[MCP Manager] Failed to re-list resources and prompts for ${serverName}:`, error.message));
+    } else if (method === 'notifications/resources/updated') {
+      if (this.onResourceUpdated) {
+        this.onResourceUpdated(serverName, params.uri);
+      }
+    } else if (method === 'notifications/progress') {
+      const call = serverState.progressTokens.get(params.progressToken);
+      if (call && this.onProgress) {
+        this.onProgress(call.execId, serverName, call.toolName, params);
+      }
+    } else if (method === 'notifications/message') {
+      const data = typeof params.data === 'string' ? params.data : JSON.stringify(params.data);
+      console.error(`[MCP Manager] ${serverName} log [${params.level}]${params.logger ? ` ${params.logger}` : ''}: ${data}`);
+    } else if (method !== 'notifications/cancelled') {
+      console.error(`[MCP Manager] ${serverName} notification ignored: ${method}`);
+    }
+  }
+
+  async handleServerRequest(serverName, serverState, request) {
+    let response;
+    try {
+      let result;
+      switch (request.method) {
+        case 'ping':
+          result = {};
+          break;
+        case 'roots/list':
+          result = { roots: [{ uri: pathToFileURL(process.cwd()).href, name: basename(process.cwd()) }] };
+          break;
+        case 'sampling/createMessage':
+          if (!this.onSamplingRequest) {
+            throw Object.assign(new Error('Sampling is not available'), { code: -32601 });
+          }
+          result = await this.onSamplingRequest(serverName, request.params);
+          break;
+        default:
+          throw Object.assign(new Error(`Method not found: ${request.method}`), { code: -32601 });
+      }
+      response = { jsonrpc: '2.0', id: request.id, result };
+    } catch (error) {
+      console.error(`[MCP Manager] ${serverName} request ${request.method} failed:`, error.message);
+      response = {
+        jsonrpc: '2.0',
+        id: request.id,
+        error: { code: typeof error.code === 'number' ? error.code : -32603, message: error.message }
+      };
+    }
+
+    try {
+      await serverState.transport.send(response);
+    } catch (error) {
+      console.error(`[MCP Manager] Failed to answer ${request.method} from ${serverName}:`, error.message);
+    }
+  }
+
+  validateServerConfig(serverName, serverConfig) {
+    const isValid = (value) => value === undefined || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+
+    if (serverConfig.lazy !== undefined && typeof serverConfig.lazy !== 'boolean') {
+      throw new Error(`BRUTAL ERROR: ${serverName}.lazy must be true or false, got ${JSON.stringify(serverConfig.lazy)}`);
+    }
+
+    for (const key of ['timeoutMs', 'initTimeoutMs', 'idleTimeoutMs']) {
+      if (!isValid(serverConfig[key])) {
+        throw new Error(`BRUTAL ERROR: ${serverName}.${key} must be a positive number of milliseconds, got ${JSON.stringify(serverConfig[key])}`);
+      }
+    }
+
+    if (serverConfig.toolTimeouts !== undefined) {
+      if (typeof serverConfig.toolTimeouts !== 'object' || serverConfig.toolTimeouts === null || Array.isArray(serverConfig.toolTimeouts)) {
+        throw new Error(`BRUTAL ERROR: ${serverName}.toolTimeouts must be an object mapping tool names to milliseconds`);
+      }
+      for (const [toolName, value] of Object.entries(serverConfig.toolTimeouts)) {
+        if (!isValid(value)) {
+          throw new Error(`BRUTAL ERROR: ${serverName}.toolTimeouts.${toolName} must be a positive number of milliseconds, got ${JSON.stringify(value)}`);
+        }
+      }
+    }
+
+    for (const key of ['includeTools', 'excludeTools']) {
+      const patterns = serverConfig[key];
+      if (patterns !== undefined && (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string'))) {
+        throw new Error(`BRUTAL ERROR: ${serverName}.${key} must be an array of tool name patterns, got ${JSON.stringify(patterns)}`);
+      }
+    }
+
+    if (serverConfig.alias !== undefined) {
+      if (typeof serverConfig.alias !== 'object' || serverConfig.alias === null || Array.isArray(serverConfig.alias)) {
+        throw new Error(`BRUTAL ERROR: ${serverName}.alias must be an object mapping tool names to sandbox names`);
+      }
+      for (const [toolName, sandboxName] of Object.entries(serverConfig.alias)) {
+        if (typeof sandboxName !== 'string' || !/^[A-Za-z_][\w$]*$/.test(sandboxName)) {
+          throw new Error(`BRUTAL ERROR: ${serverName}.alias.${toolName} must be a valid JavaScript identifier, got ${JSON.stringify(sandboxName)}`);
+        }
+      }
+    }
+
+    this.validateParamAliases(`${serverName}.paramAliases`, serverConfig.paramAliases);
+    if (serverConfig.toolParamAliases !== undefined) {
+      if (typeof serverConfig.toolParamAliases !== 'object' || serverConfig.toolParamAliases === null || Array.isArray(serverConfig.toolParamAliases)) {
+        throw new Error(`BRUTAL ERROR: ${serverName}.toolParamAliases must be an object mapping tool names to alias rules`);
+      }
+      for (const [toolName, aliases] of Object.entries(serverConfig.toolParamAliases)) {
+        this.validateParamAliases(`${serverName}.toolParamAliases.${toolName}`, aliases);
+      }
+    }
+  }
+
+  validateParamAliases(where, aliases) {
+    if (aliases === undefined) return;
+    if (typeof aliases !== 'object' || aliases === null || Array.isArray(aliases)) {
+      throw new Error(`BRUTAL ERROR: ${where} must be an object mapping parameter names to arrays of alternative names`);
+    }
+    for (const [canonical, alternatives] of Object.entries(aliases)) {
+      if (!Array.isArray(alternatives) || !alternatives.every(alt => typeof alt === 'string')) {
+        throw new Error(`BRUTAL ERROR: ${where}.${canonical} must be an array of parameter names, got ${JSON.stringify(alternatives)}`);
+      }
+    }
   }
 
-  async sendRequest(serverName, request) {
+  // Alias rules for one tool: its toolParamAliases entry wins over the server's paramAliases, which wins
+  // over the defaults (an empty array switches a rule off). Only rules targeting declared params survive,
+  // and an alternative that is itself a declared param or already claimed by a more specific rule is dropped and reported.
+  resolveParamAliases(serverName, tool) {
+    const serverConfig = this.serverConfigs.get(serverName) || {};
+    const merged = {};
+    for (const layer of [serverConfig.toolParamAliases?.[tool.serverToolName ?? tool.name], serverConfig.paramAliases, this.defaultParamAliases ?? DEFAULT_PARAM_ALIASES]) {
+      for (const [canonical, alternatives] of Object.entries(layer || {})) {
+        if (!(canonical in merged)) merged[canonical] = alternatives;
+      }
+    }
+    const paramNames = Object.keys(tool.inputSchema?.properties || {});
+
+    const rules = {};
+    const conflicts = [];
+    const claimedBy = new Map();
+    for (const [canonical, alternatives] of Object.entries(merged)) {
+      if (!paramNames.includes(canonical)) continue;
+
+      const accepted = [];
+      for (const alt of alternatives) {
+        if (paramNames.includes(alt)) {
+          conflicts.push(`'${alt}' -> '${canonical}' ignored: ${tool.name} declares '${alt}' itself`);
+        } else if (claimedBy.has(alt)) {
+          conflicts.push(`'${alt}' -> '${canonical}' ignored: already an alias of '${claimedBy.get(alt)}'`);
+        } else {
+          claimedBy.set(alt, canonical);
+          accepted.push(alt);
+        }
+      }
+      if (accepted.length > 0) rules[canonical] = accepted;
+    }
+
+    return { rules, conflicts };
+  }
+
+  // Sandbox name -> server tool name for every tool the sandbox may call, after includeTools, excludeTools and alias
+  getToolNameMap(serverName) {
+    const serverState = this.servers.get(serverName);
+    const serverConfig = this.serverConfigs.get(serverName) || {};
+    const names = new Map();
+
+    for (const tool of serverState?.tools || []) {
+      if (serverConfig.includeTools && !matchesToolGlob(tool.name, serverConfig.includeTools)) continue;
+      if (serverConfig.excludeTools && matchesToolGlob(tool.name, serverConfig.excludeTools)) continue;
+
+      const sandboxName = serverConfig.alias?.[tool.name] ?? tool.name;
+      if (names.has(sandboxName)) {
+        const conflict = `${serverName}: ${tool.name} can't be exposed as ${sandboxName}, that name is already taken by ${names.get(sandboxName)} - ${tool.name} is hidden`;
+        if (!this.reportedToolConflicts.has(conflict)) {
+          this.reportedToolConflicts.add(conflict);
+          console.error(`[MCP Manager] Tool name conflict in ${conflict}`);
+        }
+        continue;
+      }
+      names.set(sandboxName, tool.name);
+    }
+    return names;
+  }
+
+  // Tool definitions as the sandbox sees them: name is the sandbox name, serverToolName the server's own
+  getExposedTools(serverName) {
+    const serverState = this.servers.get(serverName);
+    const toolsByName = new Map((serverState?.tools || []).map(tool => [tool.name, tool]));
+    return [...this.getToolNameMap(serverName)].map(([sandboxName, serverToolName]) => ({
+      ...toolsByName.get(serverToolName),
+      name: sandboxName,
+      serverToolName
+    }));
+  }
+
+  // Timeout for a request to a server, honouring toolTimeouts when a tool name is given
+  getRequestTimeout(serverName, toolName) {
+    const serverConfig = this.serverConfigs.get(serverName) || {};
+    if (toolName && serverConfig.toolTimeouts?.[toolName] !== undefined) {
+      return serverConfig.toolTimeouts[toolName];
+    }
+    return serverConfig.timeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS;
+  }
+
+  // Effective per-tool timeouts for every server, used by the worker as a backstop for its own IPC timers
+  getTimeoutConfig() {
+    const timeouts = {};
+    for (const serverName of this.servers.keys()) {
+      const serverConfig = this.serverConfigs.get(serverName) || {};
+      // The worker knows tools by their sandbox names
+      const tools = {};
+      for (const [sandboxName, serverToolName] of this.getToolNameMap(serverName)) {
+        if (serverConfig.toolTimeouts?.[serverToolName] !== undefined) {
+          tools[sandboxName] = serverConfig.toolTimeouts[serverToolName];
+        }
+      }
+      timeouts[serverName] = { default: this.getRequestTimeout(serverName), tools };
+    }
+    return timeouts;
+  }
+
+  // Fail the requests an execution is waiting on and ask their servers to stop working on them
+  cancelExecutionCalls(execId, reason) {
+    for (const [serverName, serverState] of this.servers) {
+      for (const [requestId, call] of serverState.pendingCalls) {
+        if (call.execId !== execId) continue;
+        serverState.pendingCalls.delete(requestId);
+        console.error(`[MCP Manager] Cancelling request ${requestId} to ${serverName}: ${reason}`);
+        Promise.resolve()
+          .then(() => serverState.transport.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId, reason } }))
+          .catch((error) => console.error(`[MCP Manager] Failed to send cancellation to ${serverName}:`, error.message));
+        call.reject(new Error(`MCP request to ${serverName} was cancelled: ${reason}`));
+      }
+    }
+  }
+
+  rejectPendingCalls(serverState, message) {
+    for (const { reject } of serverState.pendingCalls.values()) {
+      reject(new Error(message));
+    }
+    serverState.pendingCalls.clear();
+  }
+
+  scheduleRestart(serverName) {
+    let restart = this.restarts.get(serverName);
+    if (!restart) {
+      restart = { attempts: 0, timer: null };
+      // Calls made while the server is down wait on this instead of failing with "not found"
+      restart.promise = new Promise((resolve, reject) => {
+        restart.resolve = resolve;
+        restart.reject = reject;
+      });
+      restart.promise.catch(() => {});
+      this.restarts.set(serverName, restart);
+    }
+
+    if (restart.attempts >= this.maxRestartAttempts) {
+      console.error(`BRUTAL ERROR: [MCP Manager] ${serverName} failed to restart after ${restart.attempts} attempts - giving up`);
+      this.restarts.delete(serverName);
+      restart.reject(new Error(`MCP server ${serverName} crashed and could not be restarted after ${restart.attempts} attempts`));
+      return;
+    }
+
+    const delay = Math.min(this.restartBaseDelay * 2 ** restart.attempts, this.restartMaxDelay);
+    restart.attempts++;
+    console.error(`[MCP Manager] Restarting ${serverName} in ${delay}ms (attempt ${restart.attempts}/${this.maxRestartAttempts})`);
+
+    restart.timer = setTimeout(async () => {
+      restart.timer = null;
+      if (this.shuttingDown) return;
+
+      try {
+        await this.startServer(serverName, this.serverConfigs.get(serverName));
+      } catch (error) {
+        console.error(`[MCP Manager] Restart of ${serverName} failed:`, error.message);
+        const serverState = this.servers.get(serverName);
+        if (serverState && !serverState.ready) {
+          this.servers.delete(serverName);
+          serverState.transport.close();
+        }
+        this.scheduleRestart(serverName);
+        return;
+      }
+
+      this.restarts.delete(serverName);
+      restart.resolve();
+      console.error(`[MCP Manager] ✓ ${serverName} restarted`);
+
+      await this.notifyToolsChanged(serverName, 'restart');
+    }, delay);
+  }
+
+  // execId ties the request to the execution that made it, so killing the execution can cancel it
+  async sendRequest(serverName, request, timeoutMs = this.getRequestTimeout(serverName), execId) {
     const serverState = this.servers.get(serverName);
     if (!serverState) throw new Error(`MCP server ${serverName} not found`);
 
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         serverState.pendingCalls.delete(request.id);
-        reject(new Error(`MCP request timeout for ${serverName}`));
-      }, 60000);
+        const target = request.method === 'tools/call' ? `${serverName}.${request.params.name}` : serverName;
+        reject(new TimeoutError(`MCP request ${request.method} to ${target} timed out after ${timeoutMs}ms`, target, timeoutMs));
+      }, timeoutMs);
 
       serverState.pendingCalls.set(request.id, {
+        execId,
         resolve: (result) => { clearTimeout(timeout); resolve(result); },
         reject: (error) => { clearTimeout(timeout); reject(error); }
       });
 
-      serverState.process.stdin.write(JSON.stringify(request) + '\n');
+      Promise.resolve()
+        .then(() => serverState.transport.send(request))
+        .catch((error) => {
+          if (serverState.pendingCalls.has(request.id)) {
+            serverState.pendingCalls.get(request.id).reject(error);
+            serverState.pendingCalls.delete(request.id);
+          }
+        });
     });
   }
 
-  async callTool(serverName, toolName, args) {
-    const serverState = this.servers.get(serverName);
-    if (!serverState) throw new Error(`MCP server ${serverName} not found`);
+  // toolName is the sandbox name; hidden tools are refused here too, not just left out of the generated functions
+  async callTool(serverName, toolName, args, { execId } = {}) {
+    const serverState = await this.ensureServer(serverName);
 
-    const result = await this.sendRequest(serverName, {
-      jsonrpc: '2.0',
-      id: serverState.nextId++,
-      method: 'tools/call',
-      params: { name: toolName, arguments: args }
-    });
+    const serverToolName = this.getToolNameMap(serverName).get(toolName);
+    const renamedTo = this.serverConfigs.get(serverName)?.alias?.[toolName];
+    if (!serverToolName && renamedTo) {
+      throw new Error(`BRUTAL ERROR: ${serverName}.${toolName} is exposed as ${serverName}.${renamedTo} - NO FALLBACKS`);
+    }
+    if (!serverToolName) {
+      throw new Error(`BRUTAL ERROR: ${serverName}.${toolName} is not available in the sandbox (unknown, hidden by includeTools/excludeTools, or renamed via alias) - NO FALLBACKS`);
+    }
+
+    const requestId = serverState.nextId++;
+    const params = { name: serverToolName, arguments: args };
+    if (execId !== undefined) {
+      // Ask for progress notifications so they can be routed back to the execution that made the call
+      params._meta = { progressToken: requestId };
+      serverState.progressTokens.set(requestId, { execId, toolName });
+    }
+
+    let result;
+    try {
+      result = await this.sendRequest(serverName, {
+        jsonrpc: '2.0',
+        id: requestId,
+        method: 'tools/call',
+        params
+      }, this.getRequestTimeout(serverName, serverToolName), execId);
+    } finally {
+      serverState.progressTokens.delete(requestId);
+      this.scheduleIdleShutdown(serverName, serverState);
+    }
+
+    return this.toRichResult(serverName, serverToolName, result);
+  }
+
+  // Resource and prompt requests made from the execute sandbox; subscriber identifies the worker for subscriptions
+  async callMethod(serverName, method, params, { execId, subscriber } = {}) {
+    const allowedMethods = [
+      'resources/list', 'resources/templates/list', 'resources/read',
+      'resources/subscribe', 'resources/unsubscribe',
+      'prompts/list', 'prompts/get'
+    ];
+    if (!allowedMethods.includes(method)) {
+      throw new Error(`BRUTAL ERROR: ${method} cannot be called from the execute sandbox - allowed: ${allowedMethods.join(', ')}`);
+    }
+
+    if (method === 'resources/subscribe') {
+      return this.subscribeResource(serverName, params, subscriber, execId);
+    }
+    if (method === 'resources/unsubscribe') {
+      return this.unsubscribeResource(serverName, params, subscriber, execId);
+    }
+    return this.requestMethod(serverName, method, params, execId);
+  }
+
+  async requestMethod(serverName, method, params, execId) {
+    const serverState = await this.ensureServer(serverName);
+
+    try {
+      return await this.sendRequest(serverName, {
+        jsonrpc: '2.0',
+        id: serverState.nextId++,
+        method,
+        params
+      }, undefined, execId);
+    } finally {
+      this.scheduleIdleShutdown(serverName, serverState);
+    }
+  }
+
+  // Only the first subscriber reaches the server; the others wait for its subscription
+  async subscribeResource(serverName, params, subscriber, execId) {
+    const key = `${serverName} ${params?.uri}`;
+    let subscription = this.resourceSubscriptions.get(key);
+    if (!subscription) {
+      subscription = { serverName, uri: params?.uri, subscribers: new Set(), ready: this.requestMethod(serverName, 'resources/subscribe', params, execId) };
+      this.resourceSubscriptions.set(key, subscription);
+      subscription.ready.catch(() => {
+        if (this.resourceSubscriptions.get(key) === subscription) this.resourceSubscriptions.delete(key);
+      });
+    }
+    const result = await subscription.ready;
+    subscription.subscribers.add(subscriber);
+    return result;
+  }
+
+  // Only the last subscriber to leave unsubscribes on the server
+  async unsubscribeResource(serverName, params, subscriber, execId) {
+    const key = `${serverName} ${params?.uri}`;
+    const subscription = this.resourceSubscriptions.get(key);
+    if (!subscription || !subscription.subscribers.delete(subscriber) || subscription.subscribers.size > 0) {
+      return {};
+    }
+    this.resourceSubscriptions.delete(key);
+    // A stopped or restarted server holds no subscriptions - don't start one just to unsubscribe
+    if (!this.servers.get(serverName)?.ready) return {};
+    return this.requestMethod(serverName, 'resources/unsubscribe', params, execId);
+  }
 
-    const content = result.content;
-    if (Array.isArray(content) && content[0]?.type === 'text') {
-      return content[0].text;
+  // A worker that exited can't unsubscribe itself
+  releaseResourceSubscriptions(subscriber) {
+    for (const { serverName, uri, subscribers } of [...this.resourceSubscriptions.values()]) {
+      if (!subscribers.has(subscriber)) continue;
+      this.unsubscribeResource(serverName, { uri }, subscriber)
+        .catch(error => console.error(`[MCP Manager] Failed to unsubscribe ${serverName} ${uri}:`, error.message));
     }
-    return JSON.stringify(result);
+  }
+
+  hasResourceSubscriptions(serverName) {
+    return [...this.resourceSubscriptions.values()].some(subscription => subscription.serverName === serverName);
+  }
+
+  // Convert a tools/call result into { text, images, audio, resources, structuredContent, isError }
+  // Binary content is written to a temp file so it survives IPC and can be opened by path
+  toRichResult(serverName, toolName, result) {
+    if (!Array.isArray(result.content)) {
+      throw new Error(`BRUTAL ERROR: ${serverName}.${toolName} returned no content array - NO FALLBACKS: ${JSON.stringify(result).substring(0, 200)}`);
+    }
+
+    const texts = [];
+    const images = [];
+    const audio = [];
+    const resources = [];
+
+    for (const item of result.content) {
+      if (item.type === 'text') {
+        texts.push(item.text);
+      } else if (item.type === 'image' || item.type === 'audio') {
+        const file = this.saveBinaryContent(serverName, item);
+        (item.type === 'image' ? images : audio).push(file);
+      } else if (item.type === 'resource') {
+        resources.push(item.resource);
+      } else if (item.type === 'resource_link') {
+        resources.push({ uri: item.uri, name: item.name, mimeType: item.mimeType, description: item.description });
+      } else {
+        console.error(`[MCP Manager] ${serverName}.${toolName} returned unsupported content type: ${item.type}`);
+      }
+    }
+
+    return {
+      text: texts.join('\n'),
+      images,
+      audio,
+      resources,
+      structuredContent: result.structuredContent,
+      isError: result.isError === true,
+      // Reported by the built-in tools (codemode/filesWritten), for outputFormat "json"
+      filesWritten: Array.isArray(result._meta?.['codemode/filesWritten']) ? result._meta['codemode/filesWritten'].filter(path => typeof path === 'string') : []
+    };
+  }
+
+  saveBinaryContent(serverName, item) {
+    const contentDir = join(tmpdir(), 'codemode-mcp-content');
+    mkdirSync(contentDir, { recursive: true });
+
+    const extension = (item.mimeType || '').split('/')[1]?.split(/[;+]/)[0] || 'bin';
+    const path = join(contentDir, `${serverName}-${randomUUID()}.${extension}`);
+    writeFileSync(path, Buffer.from(item.data, 'base64'));
+
+    return { mimeType: item.mimeType, path, data: item.data };
   }
 
   getAllTools() {
     const allTools = {};
-    for (const [serverName, serverState] of this.servers) {
-      allTools[serverName] = serverState.tools;
+    for (const serverName of this.servers.keys()) {
+      allTools[serverName] = this.getExposedTools(serverName);
     }
     return allTools;
   }
 
   shutdown() {
+    this.shuttingDown = true;
+    for (const restart of this.restarts.values()) {
+      if (restart.timer) clearTimeout(restart.timer);
+      restart.reject(new Error('MCP manager is shutting down'));
+    }
+    this.restarts.clear();
+
     for (const [serverName, serverState] of this.servers) {
+      if (!serverState.transport) continue;
       console.error(`[MCP Manager] Shutting down ${serverName}`);
-      try {
-        serverState.process.kill('SIGTERM');
-        setTimeout(() => {
-          if (!serverState.process.killed) {
-            serverState.process.kill('SIGKILL');
-          }
-        }, 1000);
-      } catch (error) {}
+      clearTimeout(serverState.idleTimer);
+      serverState.transport.close();
     }
     this.servers.clear();
   }
 }
 
+// Execution ids are unique across sessions so MCP progress can be routed by execId alone
+let nextExecutionId = 0;
+
 // Persistent Execution Context Manager
 class ExecutionContextManager {
-  constructor(mcpManager) {
+  constructor(mcpManager, { contextFile, autoRestoreContext = false, operationLogFile } = {}) {
     this.mcpManager = mcpManager;
     this.worker = null;
-    this.nextId = 0;
     this.pendingExecutions = new Map();
     this.initialized = false;
+    this.reportedAliasConflicts = new Set(); // functions are regenerated often - report each conflict once
+    this.contextFile = contextFile; // save_context/load_context snapshot of this context's variables
+    this.autoRestoreContext = autoRestoreContext;
+    this.operationLogFile = operationLogFile; // JSONL copy of the worker's operation log, shared by all sessions
+    this.nextRequestId = 0;
+    this.activeExecutions = new Set(); // execIds the worker hasn't reported a result for, including async ones
+    this.recycling = null; // Settles once a replacement worker is running with the old context
   }
 
   async initialize() {
     console.error('[Execution Context] Creating persistent Node.js worker with IPC...');
 
-    this.worker = fork(join(__dirname, 'enhanced-execution-worker.js'), [], {
-      stdio: ['inherit', 'inherit', 'inherit', 'ipc']
+    const worker = fork(join(__dirname, 'enhanced-execution-worker.js'), [], {
+      stdio: ['inherit', 'inherit', 'inherit', 'ipc'],
+      // Package imports in executed code are resolved from the working directory with import.meta.resolve(specifier, parent)
+      execArgv: [...process.execArgv, IMPORT_META_RESOLVE_FLAG],
+      env: this.operationLogFile ? { ...process.env, CODEMODE_OPERATION_LOG_FILE: this.operationLogFile } : process.env
     });
+    this.worker = worker;
+
+    // MCP results go to the worker that asked: after a recycle this.worker is its replacement, which doesn't
+    // know the call ids, and a worker that has exited can't take them at all
+    const reply = (message) => {
+      if (worker.connected) worker.send(message);
+    };
 
     // Handle IPC messages from worker
     this.worker.on('message', async (msg) => {
       if (msg.type === 'MCP_CALL') {
         // Worker is calling an MCP tool
-        const { callId, serverName, toolName, args } = msg;
+        const { callId, serverName, toolName, args, execId } = msg;
 
         try {
-          const result = await this.mcpManager.callTool(serverName, toolName, args);
-          this.worker.send({
+          const result = await this.mcpManager.callTool(serverName, toolName, args, { execId });
+          reply({
             type: 'MCP_RESULT',
             callId,
             success: true,
             result
           });
         } catch (error) {
-          this.worker.send({
+          reply({
             type: 'MCP_RESULT',
             callId,
             success: false,
-            result: error.message
+            result: error.message,
+            // Lets the worker rebuild typed errors such as TimeoutError
+            errorInfo: { name: error.name, code: error.code, tool: error.tool, timeoutMs: error.timeoutMs }
+          });
+        }
+      } else if (msg.type === 'MCP_METHOD') {
+        // Worker is reading resources or prompts
+        const { callId, serverName, method, params, execId } = msg;
+
+        try {
+          const result = await this.mcpManager.callMethod(serverName, method, params, { execId, subscriber: worker });
+          reply({ type: 'MCP_RESULT', callId, success: true, result });
+        } catch (error) {
+          reply({
+            type: 'MCP_RESULT',
+            callId,
+            success: false,
+            result: error.message,
+            errorInfo: { name: error.name, code: error.code, tool: error.tool, timeoutMs: error.timeoutMs }
           });
         }
       } else if (msg.type === 'STREAM_OUTPUT') {
@@ -286,12 +1073,13 @@ class ExecutionContextManager {
         console.error(`[Execution Context] ${message} (execId: ${execId})`);
       } else if (msg.type === 'EXEC_RESULT') {
         // Execution completed
-        const { execId, success, output, error } = msg;
+        const { execId, success, output, error, limit, report } = msg;
+        this.activeExecutions.delete(execId);
 
         if (this.pendingExecutions.has(execId)) {
           const { resolve } = this.pendingExecutions.get(execId);
           this.pendingExecutions.delete(execId);
-          resolve({ success, output: success ? output : error });
+          resolve({ success, output: success ? output : error, limit, report });
         }
       } else if (msg.type === 'INIT_COMPLETE') {
         this.initialized = true;
@@ -320,7 +1108,7 @@ class ExecutionContextManager {
           // Return current progress as successful result
           resolve({
             success: true,
-            output: `Execution moved to async mode after 30 seconds.\n\nCurrent progress:\n${executionInfo.currentOutput}\n\n[Execution ID: ${execId} - Use 'action: "get_async_log", executionId: "${execId}"' to view further progress]`,
+            output: `Execution moved to async mode after ${executionInfo.asyncHandoverTimeout / 1000} seconds.\n\nCurrent progress:\n${executionInfo.currentOutput}\n\n[Execution ID: ${execId} - Use 'action: "get_async_log", executionId: "${execId}"' to view further progress]`,
             isAsyncHandover: true,
             executionId: execId,
             executionInfo
@@ -382,17 +1170,16 @@ class ExecutionContextManager {
 
     this.worker.on('exit', (code) => {
       console.error(`[Execution Context] Worker exited with code ${code}`);
+      this.mcpManager.releaseResourceSubscriptions(worker);
+      if (this.worker !== worker) return; // an old worker, already replaced
+
       this.worker = null;
       this.initialized = false;
+      this.failPendingExecutions(`Execution worker exited with code ${code} - the next execution starts a fresh worker`);
     });
 
     // Send tool functions to worker
-    const { functions } = this.generateMCPFunctions();
-
-    this.worker.send({
-      type: 'INIT_TOOLS',
-      toolFunctions: functions
-    });
+    this.refreshTools();
 
     // Wait for initialization
     await new Promise((resolve) => {
@@ -403,12 +1190,176 @@ class ExecutionContextManager {
         }
       }, 100);
     });
+
+    if (this.autoRestoreContext && this.contextFile && existsSync(this.contextFile)) {
+      try {
+        const { loaded } = await this.loadContext();
+        console.error(`[Execution Context] Restored ${loaded.length} context value(s) from ${this.contextFile}`);
+      } catch (error) {
+        console.error(`[Execution Context] Failed to restore context from ${this.contextFile}:`, error.message);
+      }
+    }
+  }
+
+  // The worker's executions can never report back
+  failPendingExecutions(output) {
+    for (const { resolve } of this.pendingExecutions.values()) {
+      resolve({ success: false, output });
+    }
+    this.pendingExecutions.clear();
+    this.activeExecutions.clear();
+  }
+
+  // Send a request to the worker and wait for its reply of replyType
+  requestFromWorker(message, replyType, timeoutMs) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Execution worker not initialized'));
+    }
+
+    const worker = this.worker;
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = timeoutMs ? setTimeout(() => {
+        cleanup();
+        reject(new Error(`Execution worker did not reply within ${timeoutMs}ms`));
+      }, timeoutMs) : null;
+      const listener = (msg) => {
+        if (msg.type !== replyType || msg.requestId !== requestId) return;
+        cleanup();
+        if (msg.error) {
+          reject(new Error(msg.error));
+        } else {
+          resolve(msg);
+        }
+      };
+      const onExit = () => {
+        cleanup();
+        reject(new Error('Execution worker exited before replying'));
+      };
+      const cleanup = () => {
+        clearTimeout(timer);
+        worker.removeListener('message', listener);
+        worker.removeListener('exit', onExit);
+      };
+
+      worker.on('message', listener);
+      worker.on('exit', onExit);
+      worker.send({ ...message, requestId });
+    });
+  }
+
+  // Write the structured-clone-able context values to contextFile; resolves to { saved, skipped, bytes }
+  saveContext() {
+    return this.requestFromWorker({ type: 'SAVE_CONTEXT', file: this.contextFile }, 'CONTEXT_SAVED');
+  }
+
+  // Merge the values saved in contextFile into the context; resolves to { loaded, savedAt }
+  loadContext() {
+    return this.requestFromWorker({ type: 'LOAD_CONTEXT', file: this.contextFile }, 'CONTEXT_LOADED');
+  }
+
+  // Cancel one execution (or all of them without execId): its signal is aborted, its MCP requests and child
+  // processes are cancelled, and if it still hasn't finished after KILL_GRACE_MS the worker is replaced
+  kill(execId) {
+    if (!this.worker) {
+      throw new Error('Execution context not initialized');
+    }
+
+    const targets = execId === undefined ? [...this.activeExecutions] : [execId];
+    this.worker.send({ type: 'KILL_EXECUTION', execId });
+    for (const id of targets) {
+      this.mcpManager.cancelExecutionCalls(id, `execution ${id} was killed`);
+    }
+
+    const worker = this.worker;
+    setTimeout(() => {
+      const stuck = targets.filter(id => this.activeExecutions.has(id));
+      if (stuck.length > 0 && this.worker === worker) {
+        this.recycling = this.recycleWorker(`execution ${stuck.join(', ')} did not stop within ${KILL_GRACE_MS}ms of being killed`)
+          .catch(error => console.error('[Execution Context] Failed to replace worker:', error.message))
+          .finally(() => { this.recycling = null; });
+      }
+    }, KILL_GRACE_MS);
+
+    return targets;
+  }
+
+  // Replace the worker, carrying structured-clone-able context values over if it still answers
+  async recycleWorker(reason) {
+    console.error(`[Execution Context] Replacing worker: ${reason}`);
+    const transferFile = join(tmpdir(), `codemode-context-${randomUUID()}.v8`);
+
+    let carried = false;
+    try {
+      await this.requestFromWorker({ type: 'SAVE_CONTEXT', file: transferFile }, 'CONTEXT_SAVED', RECYCLE_SAVE_TIMEOUT_MS);
+      carried = true;
+    } catch (error) {
+      console.error(`[Execution Context] Context could not be carried over: ${error.message}`);
+    }
+
+    const oldWorker = this.worker;
+    this.worker = null;
+    this.initialized = false;
+    this.failPendingExecutions(`Execution killed - the worker was replaced because ${reason}`);
+    oldWorker?.kill('SIGKILL');
+
+    await this.initialize();
+    if (carried) {
+      try {
+        const { loaded } = await this.requestFromWorker({ type: 'LOAD_CONTEXT', file: transferFile }, 'CONTEXT_LOADED');
+        console.error(`[Execution Context] Carried ${loaded.length} context value(s) over to the new worker`);
+      } finally {
+        rmSync(transferFile, { force: true });
+      }
+    }
+  }
+
+  // The worker's operation log, oldest first; filter is { operation, level, since }
+  getOperationLog(filter) {
+    return this.requestFromWorker({ type: 'GET_OPERATION_LOG', filter }, 'OPERATION_LOG');
+  }
+
+  // User variables in the context; resolves to { variables: [{ name, type, size, sizeComplete, lastWrittenBy }] }
+  inspectContext() {
+    return this.requestFromWorker({ type: 'INSPECT_CONTEXT' }, 'CONTEXT_INSPECTED');
+  }
+
+  // (Re)generate the sandbox tool functions and push them to the worker
+  refreshTools() {
+    if (!this.worker) return;
+
+    const { functions, toolDescriptions, featureDescriptions } = this.generateMCPFunctions();
+    this.writeDeclarations(toolDescriptions, featureDescriptions);
+
+    const toolSchemas = {};
+    for (const [serverName, tools] of Object.entries(toolDescriptions)) {
+      toolSchemas[serverName] = Object.fromEntries(tools.map(tool => [tool.name, tool.inputSchema]));
+    }
+
+    this.worker.send({
+      type: 'INIT_TOOLS',
+      toolFunctions: functions,
+      toolSchemas,
+      mcpTimeouts: this.mcpManager.getTimeoutConfig()
+    });
+  }
+
+  // Keep sandbox.d.ts in step with the functions the worker sees, for editors and the model
+  writeDeclarations(toolDescriptions, featureDescriptions) {
+    const path = process.env.CODEMODE_TYPES_FILE || join(this.mcpManager.manifestCache.cacheDir, 'sandbox.d.ts');
+    try {
+      mkdirSync(dirname(path), { recursive: true });
+      writeFileSync(path, generateDeclarations(toolDescriptions, featureDescriptions), 'utf8');
+      this.declarationsPath = path;
+    } catch (error) {
+      console.error(`[Execution Context] Failed to write sandbox declarations to ${path}:`, error.message);
+    }
   }
 
   getAllToolNames() {
     const names = {};
-    for (const [serverName, serverState] of this.mcpManager.servers) {
-      for (const tool of serverState.tools) {
+    for (const serverName of this.mcpManager.servers.keys()) {
+      for (const tool of this.mcpManager.getExposedTools(serverName)) {
         names[tool.name] = true;
       }
     }
@@ -418,6 +1369,7 @@ class ExecutionContextManager {
   generateMCPFunctions() {
     let functions = '';
     const toolDescriptions = {};
+    const featureDescriptions = {};
 
     // Initialize server objects
     for (const [serverName, serverState] of this.mcpManager.servers) {
@@ -427,12 +1379,13 @@ class ExecutionContextManager {
 
     functions += '\n';
 
-    for (const [serverName, serverState] of this.mcpManager.servers) {
-      for (const tool of serverState.tools) {
+    for (const serverName of this.mcpManager.servers.keys()) {
+      for (const tool of this.mcpManager.getExposedTools(serverName)) {
         toolDescriptions[serverName].push({
           name: tool.name,
           description: tool.description,
-          inputSchema: tool.inputSchema
+          inputSchema: tool.inputSchema,
+          outputSchema: tool.outputSchema
         });
 
         if (!tool.inputSchema) {
@@ -445,8 +1398,22 @@ class ExecutionContextManager {
         const required = tool.inputSchema.required || [];
         const paramNames = Object.keys(params);
 
-        const reservedWords = ['function', 'class', 'const', 'let', 'var', 'return', 'if', 'else', 'for', 'while'];
-        const safeParamNames = paramNames.map(p => reservedWords.includes(p) ? `_${p}` : p);
+        const safeParamNames = paramNames.map(parameterName);
+
+        const { rules: paramAliases, conflicts } = this.mcpManager.resolveParamAliases(serverName, tool);
+        for (const conflict of conflicts) {
+          const message = `${serverName}.${tool.name}: ${conflict}`;
+          if (!this.reportedAliasConflicts.has(message)) {
+            this.reportedAliasConflicts.add(message);
+            console.error(`[Execution Context] Alias conflict in ${message}`);
+          }
+        }
+        const paramDocs = paramNames.map((p, i) => {
+          const type = schemaToType(params[p]);
+          const name = required.includes(p) ? safeParamNames[i] : `[${safeParamNames[i]}]`;
+          const description = (params[p].description || '').split('\n')[0].replace(/\*\//g, '*\\/');
+          return `\n * @param {${type}} ${name}${description ? ` - ${description}` : ''}`;
+        }).join('');
 
         const signature = `async function ${tool.name}(${safeParamNames.map((p, i) => {
           const isRequired = required.includes(paramNames[i]);
@@ -455,18 +1422,16 @@ class ExecutionContextManager {
 
         // Generate function that calls MCP tool via IPC, filtering out null/undefined values
         const paramNamesArray = JSON.stringify(paramNames);
-        const requiredArray = JSON.stringify(required);
 
         functions += `
 /**
  * ${serverName}.${tool.name} - ${tool.description}
  * IMPORTANT: This is an async function. Always use 'await' when calling it.
- * Example: const result = await ${serverName}.${tool.name}(${paramNames.slice(0, Math.min(2, paramNames.length)).join(', ')});
+ * Example: const result = await ${serverName}.${tool.name}(${paramNames.slice(0, Math.min(2, paramNames.length)).join(', ')});${paramDocs}
  */
 global.${serverName}.${tool.name} = ${signature} {
-  // Define parameter names and required parameters inside the function
+  // Define parameter names inside the function
   const paramNames = ${paramNamesArray};
-  const required = ${requiredArray};
 
   // Flexible parameter handling for various LLM coding styles
   let args = {};
@@ -474,48 +1439,84 @@ global.${serverName}.${tool.name} = ${signature} {
   // Handle different calling patterns that LLMs might generate:
   if (paramNames.length > 0 && typeof ${safeParamNames[0]} === 'object' && ${safeParamNames[0]} !== null && !Array.isArray(${safeParamNames[0]})) {
     // Object-style call: Write({file_path: '...', content: '...'})
-    args = ${safeParamNames[0]};
+    args = { ...${safeParamNames[0]} };
   } else {
     // Individual params call: Write('file.txt', 'content')
     // Also handle missing/undefined parameters gracefully
 ` + paramNames.map((p, i) => `    if (${safeParamNames[i]} !== null && ${safeParamNames[i]} !== undefined) args.${p} = ${safeParamNames[i]};`).join('\n') + `
   }
 
-  // Common parameter name variations for LLM flexibility
-  const paramMappings = {
-    'file_path': ['filePath', 'filename', 'path', 'file'],
-    'content': ['text', 'data', 'body'],
-    'old_string': ['oldString', 'oldText', 'find'],
-    'new_string': ['newString', 'newText', 'replace'],
-    'file': ['file_path', 'filePath'],
-    'text': ['content', 'data'],
-    'command': ['cmd'],
-    'description': ['desc'],
-    'url': ['uri', 'link']
-  };
+  // Parameter name variations accepted for this tool (paramAliases / toolParamAliases in .codemode.json)
+  const paramAliases = ${JSON.stringify(paramAliases)};
 
-  // Apply parameter name mappings for flexibility
-  for (const [canonical, alternatives] of Object.entries(paramMappings)) {
-    if (!args[canonical]) {
+  // Apply aliases, dropping the consumed alternative so it isn't rejected as an unknown parameter
+  const appliedAliases = [];
+  for (const [canonical, alternatives] of Object.entries(paramAliases)) {
+    if (args[canonical] === undefined || args[canonical] === null) {
       for (const alt of alternatives) {
         if (args[alt] !== undefined) {
           args[canonical] = args[alt];
+          delete args[alt];
+          appliedAliases.push(alt + ' -> ' + canonical);
           break;
         }
       }
     }
   }
-
-  // Validate required parameters AFTER mapping (this is the fix!)
-  for (const paramName of required) {
-    if (args[paramName] === null || args[paramName] === undefined) {
-      throw new Error('Missing required parameter: ' + paramName);
-    }
+  if (appliedAliases.length > 0) {
+    global.__noteAppliedAliases('${serverName}', '${tool.name}', appliedAliases);
   }
 
+  // Validate AFTER mapping against the tool's inputSchema - throws ValidationError naming the bad path
+  args = global.__validateMCPArgs('${serverName}', '${tool.name}', args);
+
   return await global.__callMCPTool('${serverName}', '${tool.name}', args);
 };
 
+`;
+      }
+    }
+
+    // Resource and prompt helpers for servers that advertise them
+    for (const [serverName, serverState] of this.mcpManager.servers) {
+      const { capabilities } = serverState;
+      if (!capabilities.resources && !capabilities.prompts) continue;
+
+      featureDescriptions[serverName] = {
+        resources: serverState.resources,
+        resourceTemplates: serverState.resourceTemplates,
+        prompts: serverState.prompts,
+        canSubscribe: Boolean(capabilities.resources?.subscribe),
+        hasResources: Boolean(capabilities.resources),
+        hasPrompts: Boolean(capabilities.prompts)
+      };
+
+      if (capabilities.resources) {
+        functions += `
+/**
+ * ${serverName}.$resources - list, read and subscribe to resources published by ${serverName}
+ * Example: const { contents } = await ${serverName}.$resources.read('file:///path');
+ */
+global.${serverName}.$resources = {
+  list: async (cursor) => await global.__callMCPMethod('${serverName}', 'resources/list', cursor ? { cursor } : {}),
+  templates: async (cursor) => await global.__callMCPMethod('${serverName}', 'resources/templates/list', cursor ? { cursor } : {}),
+  read: async (uri) => await global.__callMCPMethod('${serverName}', 'resources/read', { uri }),
+  // Returns an async unsubscribe function
+  subscribe: async (uri, onUpdate) => await global.__subscribeMCPResource('${serverName}', uri, onUpdate)
+};
+`;
+      }
+
+      if (capabilities.prompts) {
+        functions += `
+/**
+ * ${serverName}.$prompts - list and render prompts published by ${serverName}
+ * Example: const { messages } = await ${serverName}.$prompts.get('promptName', { arg: 'value' });
+ */
+global.${serverName}.$prompts = {
+  list: async (cursor) => await global.__callMCPMethod('${serverName}', 'prompts/list', cursor ? { cursor } : {}),
+  get: async (name, args = {}) => await global.__callMCPMethod('${serverName}', 'prompts/get', { name, arguments: args })
+};
 `;
       }
     }
@@ -564,15 +1565,26 @@ global.Glob = async (pattern, globPath) => await global.builtInTools.Glob({ patt
 global.Grep = async (pattern, grepPath, options) => await global.builtInTools.Grep({ pattern, path: resolvePath(grepPath), ...options });
 `;
 
-    return { functions, toolDescriptions };
+    return { functions, toolDescriptions, featureDescriptions };
   }
 
-  async execute(code, workingDirectory) {
-    if (!this.worker || !this.initialized) {
+  // limits: optional { timeoutMs, maxMemoryMb, maxOutputBytes }, enforced by running the code in a worker thread
+  // language: 'javascript', 'typescript' or 'tsx'; detected by the worker when omitted
+  // outputFormat: 'json' to get a structured report of the execution as result.report
+  async execute(code, workingDirectory, { limits, language, outputFormat } = {}) {
+    // Executions started while the worker is being replaced run in the replacement
+    if (this.recycling) await this.recycling;
+    if (!this.worker) {
+      // The worker crashed or was killed - start a fresh one (restoring the saved context if configured)
+      console.error('[Execution Context] Worker is gone - starting a new one');
+      await this.initialize();
+    }
+    if (!this.initialized) {
       throw new Error('Execution worker not initialized');
     }
 
-    const execId = this.nextId++;
+    const execId = nextExecutionId++;
+    this.activeExecutions.add(execId);
 
     return new Promise((resolve, reject) => {
       // NO TIMEOUT - executions run until agent manages them
@@ -586,7 +1598,10 @@ global.Grep = async (pattern, grepPath, options) => await global.builtInTools.Gr
         type: 'EXECUTE',
         execId,
         code,
-        workingDirectory
+        workingDirectory,
+        limits,
+        language,
+        outputFormat
       });
     });
   }
@@ -630,8 +1645,148 @@ global.Grep = async (pattern, grepPath, options) => await global.builtInTools.Gr
   }
 }
 
+// One worker per execute sessionId, so parallel tasks don't share variables or a working directory
+// Calls without a sessionId use the default session, which lives for the whole server lifetime
+class ExecutionSessionManager {
+  constructor(mcpManager, { maxSessions = DEFAULT_MAX_SESSIONS, contextDir, autoRestoreContext = false, operationLogFile } = {}) {
+    if (!Number.isInteger(maxSessions) || maxSessions < 1) {
+      throw new Error(`BRUTAL ERROR: maxSessions must be a positive integer, got ${JSON.stringify(maxSessions)}`);
+    }
+    if (typeof autoRestoreContext !== 'boolean') {
+      throw new Error(`BRUTAL ERROR: autoRestoreContext must be true or false, got ${JSON.stringify(autoRestoreContext)}`);
+    }
+    if (operationLogFile !== undefined && (typeof operationLogFile !== 'string' || operationLogFile === '')) {
+      throw new Error(`BRUTAL ERROR: operationLogFile must be a file path, got ${JSON.stringify(operationLogFile)}`);
+    }
+    this.mcpManager = mcpManager;
+    this.maxSessions = maxSessions;
+    this.contextDir = contextDir;
+    this.autoRestoreContext = autoRestoreContext;
+    this.operationLogFile = operationLogFile;
+    this.defaultContext = null;
+    this.sessions = new Map(); // sessionId -> { context, createdAt, lastUsedAt, workingDirectory, starting }, least recently used first
+  }
+
+  // Each session saves its context to its own snapshot file
+  createContext(sessionId) {
+    const fileName = `${sessionId.replace(/[^\w.-]/g, '_')}.v8`;
+    return new ExecutionContextManager(this.mcpManager, {
+      contextFile: join(this.contextDir, fileName),
+      autoRestoreContext: this.autoRestoreContext,
+      operationLogFile: this.operationLogFile
+    });
+  }
+
+  async initialize() {
+    this.defaultContext = this.createContext('default');
+    await this.defaultContext.initialize();
+  }
+
+  contexts() {
+    const contexts = [this.defaultContext];
+    for (const session of this.sessions.values()) {
+      if (session.context.worker) contexts.push(session.context);
+    }
+    return contexts;
+  }
+
+  // Context for an execution, forking the session's worker on first use
+  async get(sessionId, workingDirectory) {
+    if (!sessionId) return this.defaultContext;
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      this.evictIfFull();
+      console.error(`[Execution Sessions] Starting worker for session ${sessionId}`);
+      session = { context: this.createContext(`session-${sessionId}`), createdAt: Date.now() };
+      session.starting = session.context.initialize();
+      this.sessions.set(sessionId, session);
+      try {
+        await session.starting;
+      } catch (error) {
+        this.sessions.delete(sessionId);
+        throw new Error(`BRUTAL ERROR: Failed to start worker for session ${sessionId}: ${error.message}`);
+      }
+    } else {
+      await session.starting;
+    }
+
+    // Re-insert so Map order stays least recently used first
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, session);
+    session.lastUsedAt = Date.now();
+    session.workingDirectory = workingDirectory;
+    return session.context;
+  }
+
+  // Existing context for a management action: the default one, the named session's, or null
+  find(sessionId) {
+    if (!sessionId) return this.defaultContext;
+    return this.sessions.get(sessionId)?.context || null;
+  }
+
+  // Close the least recently used idle session once the limit is reached - executions handed over to
+  // async mode are no longer pending but still keep their session busy
+  evictIfFull() {
+    if (this.sessions.size < this.maxSessions) return;
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.context.activeExecutions.size === 0) {
+        console.error(`[Execution Sessions] Session limit (${this.maxSessions}) reached - evicting least recently used session ${sessionId}`);
+        this.close(sessionId);
+        return;
+      }
+    }
+    throw new Error(`BRUTAL ERROR: All ${this.maxSessions} sessions are busy - close one with action "close_session" or raise maxSessions in .codemode.json`);
+  }
+
+  close(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    this.sessions.delete(sessionId);
+    for (const { resolve } of session.context.pendingExecutions.values()) {
+      resolve({ success: false, output: `Session ${sessionId} was closed while this execution was running` });
+    }
+    session.context.pendingExecutions.clear();
+    session.context.shutdown();
+    return true;
+  }
+
+  list() {
+    const describe = (sessionId, context, session = {}) => ({
+      sessionId,
+      pid: context.worker?.pid ?? null,
+      running: context.activeExecutions.size,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      workingDirectory: session.workingDirectory
+    });
+    return [
+      describe('default', this.defaultContext),
+      ...[...this.sessions].reverse().map(([sessionId, session]) => describe(sessionId, session.context, session))
+    ];
+  }
+
+  refreshTools() {
+    this.contexts().forEach(context => context.refreshTools());
+  }
+
+  // Worker messages that aren't tied to one session (progress is matched to its execId by the worker)
+  broadcast(message) {
+    this.contexts().forEach(context => context.worker?.send(message));
+  }
+
+  shutdown() {
+    for (const sessionId of [...this.sessions.keys()]) {
+      this.close(sessionId);
+    }
+    this.defaultContext?.shutdown();
+  }
+}
+
 const mcpManager = new MCPServerManager();
-let executionContext = null;
+let executionSessions = null;
 
 const server = new Server(
   { name: 'codemode-execute', version: '1.0.0' },
@@ -639,28 +1794,48 @@ const server = new Server(
 );
 
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-  if (!executionContext) return { tools: [] };
+  if (!executionSessions) return { tools: [] };
 
-  const { toolDescriptions } = executionContext.generateMCPFunctions();
+  const executionContext = executionSessions.defaultContext;
+  const { toolDescriptions, featureDescriptions } = executionContext.generateMCPFunctions();
 
   let mcpToolsList = '';
   if (Object.keys(toolDescriptions).length > 0) {
-    mcpToolsList = '\n\n## Available MCP Tools:\n\nAll MCP tools are organized by server name as objects. Use the format: `serverName.toolName(params)`\n';
+    mcpToolsList = '\n\n## Available MCP Tools:\n\nAll MCP tools are organized by server name as objects. Use the format: `serverName.toolName(params)` or `serverName.toolName({ param: value })`. Tools resolve to a string, or to a ToolResult `{ text, images, audio, resources, structuredContent }` when they return more than text.\n';
     for (const [serverName, tools] of Object.entries(toolDescriptions)) {
       mcpToolsList += `\n### ${serverName}:\n`;
       tools.forEach(tool => {
         if (!tool.inputSchema || !tool.inputSchema.properties) {
           throw new Error(`BRUTAL ERROR: tool.inputSchema.properties is undefined for tool ${tool.name} - NO FALLBACKS`);
         }
-        const params = Object.keys(tool.inputSchema.properties)
-          .map(p => tool.inputSchema.required?.includes(p) ? p : `${p}?`)
-          .join(', ');
-        mcpToolsList += `- ${serverName}.${tool.name}(${params}): ${tool.description}\n`;
+        mcpToolsList += `- ${toolSignature(serverName, tool)}: ${tool.description}\n`;
       });
+
+      const features = featureDescriptions[serverName];
+      if (features) {
+        if (features.resources.length > 0 || features.resourceTemplates.length > 0) {
+          mcpToolsList += `- ${serverName}.$resources.list() / .templates() / .read(uri)${features.canSubscribe ? ' / .subscribe(uri, onUpdate)' : ''}\n`;
+          features.resources.forEach(resource => {
+            mcpToolsList += `  - ${resource.uri}${resource.name ? ` (${resource.name})` : ''}${resource.description ? `: ${resource.description}` : ''}\n`;
+          });
+          features.resourceTemplates.forEach(template => {
+            mcpToolsList += `  - ${template.uriTemplate}${template.name ? ` (${template.name})` : ''}${template.description ? `: ${template.description}` : ''}\n`;
+          });
+        }
+        features.prompts.forEach(prompt => {
+          const promptArgs = (prompt.arguments || []).map(arg => arg.required ? arg.name : `${arg.name}?`).join(', ');
+          mcpToolsList += `- ${serverName}.$prompts.get('${prompt.name}', { ${promptArgs} })${prompt.description ? `: ${prompt.description}` : ''}\n`;
+        });
+      }
     }
   }
 
-  const description = `Execute JavaScript code with access to all MCP tools. Enhanced with comprehensive validation, monitoring, and error recovery. Both MCP connections and execution context persist across calls - use clear_context() to reset.${mcpToolsList}\n\n**Special Functions:**\n- clear_context(): Clear all variables and state in the execution context\n\n**Enhanced Features:**\n- File content validation after writes\n- JavaScript syntax validation before execution\n- Process health monitoring with automatic retries\n- Tool availability checks with fallback mechanisms\n- Enhanced error handling with recovery suggestions\n- Detailed operation logs with state tracking\n- Progressive build validation with rollback on failures\n\n**Examples:**\n- await builtInTools.Bash('ls -la')\n- await playwright.browser_navigate('https://example.com')\n- await builtInTools.Read('file.txt')`;
+  mcpToolsList += `\n### Global aliases:\n${ALIAS_SIGNATURES.map(signature => `- ${signature}`).join('\n')}\n`;
+  if (executionContext.declarationsPath) {
+    mcpToolsList += `\nFull TypeScript declarations: ${executionContext.declarationsPath}\n`;
+  }
+
+  const description = `Execute JavaScript code with access to all MCP tools. Enhanced with comprehensive validation, monitoring, and error recovery. Both MCP connections and execution context persist across calls - use clear_context() to reset.${mcpToolsList}\n\n**Special Functions:**\n- clear_context(): Clear all variables and state in the execution context\n- context.list(): Persisted variables with type, approximate size and the execution that last wrote them\n- context.delete(name): Remove one persisted variable\n- signal: AbortSignal aborted when the execution is killed\n\n**Enhanced Features:**\n- File content validation after writes\n- JavaScript syntax validation before execution\n- Process health monitoring with automatic retries\n- Tool availability checks with fallback mechanisms\n- Enhanced error handling with recovery suggestions\n- Detailed operation logs with state tracking\n- Progressive build validation with rollback on failures\n\n**Examples:**\n- await builtInTools.Bash('ls -la')\n- await playwright.browser_navigate('https://example.com')\n- await builtInTools.Read('file.txt')`;
 
   return {
     tools: [
@@ -678,9 +1853,35 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'JavaScript code to execute. Context persists between calls. When provided, this will execute code regardless of other parameters.'
             },
+            language: {
+              type: 'string',
+              enum: EXECUTE_LANGUAGES,
+              description: 'Optional language of the code. TypeScript types are stripped (and JSX compiled for tsx) before running, keeping line numbers. Detected automatically when omitted.'
+            },
+            outputFormat: {
+              type: 'string',
+              enum: OUTPUT_FORMATS,
+              description: 'Optional result format. "json" returns { returnValue, stdout[], stderr[], warnings[], durationMs, filesTouched[], toolCalls[] } (plus error on failure) as structured content instead of a text blob.'
+            },
             action: {
               type: 'string',
-              description: 'Management action. Valid values: "kill", "get_async_log", "list_async_executions", "clear_history", "get_progress", "send_stdin". Used only when no code is provided.'
+              description: 'Management action. Valid values: "kill", "get_async_log", "list_async_executions", "clear_history", "get_progress", "send_stdin", "list_sessions", "close_session", "save_context", "load_context", "inspect_context", "get_operation_log". Used only when no code is provided.'
+            },
+            timeoutMs: {
+              type: 'integer',
+              description: 'Optional wall-clock limit for this execution in milliseconds. The execution is terminated when it is exceeded, even inside a synchronous loop.'
+            },
+            maxMemoryMb: {
+              type: 'integer',
+              description: 'Optional heap limit for this execution in megabytes.'
+            },
+            maxOutputBytes: {
+              type: 'integer',
+              description: 'Optional limit on console output for this execution; the execution is terminated once it prints more.'
+            },
+            sessionId: {
+              type: 'string',
+              description: 'Optional session name. Each session gets its own worker with separate variables and working directory, created on first use. Omit to use the shared default session. Also selects the session for management actions.'
             },
             executionId: {
               type: 'string',
@@ -696,7 +1897,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             since: {
               type: 'string',
-              description: 'Get progress output since this timestamp (ISO format, used with get_progress action)'
+              description: 'Get progress output or operation log entries since this timestamp (ISO format, used with get_progress and get_operation_log actions)'
+            },
+            operation: {
+              type: 'string',
+              description: 'Only return operation log entries for this operation, e.g. "MCP_CALL_TIMEOUT" (used with get_operation_log action)'
+            },
+            level: {
+              type: 'string',
+              enum: OPERATION_LOG_LEVELS,
+              description: 'Only return operation log entries of this level (used with get_operation_log action)'
             }
           }
         }
@@ -710,7 +1920,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   if (name === 'execute') {
     try {
-      const { action, executionId, code, workingDirectory } = args;
+      const { action, executionId, code, workingDirectory, sessionId, language, outputFormat } = args;
+
+      if (language !== undefined && language !== null && !EXECUTE_LANGUAGES.includes(language)) {
+        throw new Error(`BRUTAL ERROR: language must be one of ${EXECUTE_LANGUAGES.join(', ')}, got ${JSON.stringify(language)}`);
+      }
+      if (outputFormat !== undefined && outputFormat !== null && !OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`BRUTAL ERROR: outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}, got ${JSON.stringify(outputFormat)}`);
+      }
+
+      let limits;
+      for (const name of ['timeoutMs', 'maxMemoryMb', 'maxOutputBytes']) {
+        if (args[name] === undefined || args[name] === null) continue;
+        if (!Number.isInteger(args[name]) || args[name] < 1) {
+          throw new Error(`BRUTAL ERROR: ${name} must be a positive integer, got ${JSON.stringify(args[name])}`);
+        }
+        limits = { ...limits, [name]: args[name] };
+      }
 
       // Smart execution: If code is provided, always execute code (ignore action)
       if (code) {
@@ -720,7 +1946,27 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           throw new Error(`Working directory does not exist: ${absWorkingDir}`);
         }
 
-        const result = await executionContext.execute(code, absWorkingDir);
+        const executionContext = await executionSessions.get(sessionId, absWorkingDir);
+        const result = await executionContext.execute(code, absWorkingDir, { limits, language, outputFormat });
+
+        if (outputFormat === 'json') {
+          // Executions that didn't finish normally (async handover, worker lost) only have their text output
+          const report = result.report ?? (result.isAsyncHandover
+            ? { async: true, executionId: result.executionId, output: result.output }
+            : { error: { message: result.output }, limit: result.limit });
+          return {
+            content: [{ type: 'text', text: JSON.stringify(report, null, 2) }],
+            structuredContent: report,
+            isError: !result.success
+          };
+        }
+
+        if (result.limit) {
+          return {
+            content: [{ type: 'text', text: `[Limit exceeded: ${result.limit.name} = ${result.limit.value}]\n${result.output}` }],
+            isError: true
+          };
+        }
 
         if (result.success) {
           if (!result.output) {
@@ -739,15 +1985,49 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       // Handle management actions (only when no code provided)
       if (action) {
+        if (action === 'list_sessions') {
+          const lines = executionSessions.list().map(session =>
+            `- ${session.sessionId}: pid ${session.pid ?? 'none'}, ${session.running} running` +
+            (session.lastUsedAt ? `, last used ${new Date(session.lastUsedAt).toISOString()}` : '') +
+            (session.workingDirectory ? `, cwd ${session.workingDirectory}` : '')
+          );
+          return {
+            content: [{ type: 'text', text: `Sessions (${lines.length - 1}/${executionSessions.maxSessions} named):\n\n${lines.join('\n')}` }]
+          };
+        }
+
+        if (action === 'close_session') {
+          if (!sessionId) {
+            return {
+              content: [{ type: 'text', text: 'sessionId required for close_session (the default session can only be reset with clear_context())' }],
+              isError: true
+            };
+          }
+          const closed = executionSessions.close(sessionId);
+          return {
+            content: [{ type: 'text', text: closed ? `Session ${sessionId} closed` : `Unknown session: ${sessionId}` }],
+            isError: !closed
+          };
+        }
+
+        // Other actions address an existing session's worker
+        const executionContext = executionSessions.find(sessionId);
+        if (!executionContext) {
+          return {
+            content: [{ type: 'text', text: `Unknown session: ${sessionId}` }],
+            isError: true
+          };
+        }
+
+        // The worker keys executions by number, the tool schema passes the id as a string
+        const execId = executionId === undefined ? undefined : Number(executionId);
+
         switch (action) {
           case 'kill':
             if (executionContext.worker) {
-              executionContext.worker.send({
-                type: 'KILL_EXECUTION',
-                execId: executionId
-              });
+              const targets = executionContext.kill(execId);
               return {
-                content: [{ type: 'text', text: `Kill request sent for execution: ${executionId || 'all'}` }]
+                content: [{ type: 'text', text: `Kill request sent for execution: ${executionId ?? `all (${targets.length} running)`}. Executions that haven't stopped within ${KILL_GRACE_MS / 1000}s get their worker replaced.` }]
               };
             } else {
               return {
@@ -761,7 +2041,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               // Wait for async execution data response
               return new Promise((resolve) => {
                 const listener = (msg) => {
-                  if (msg.type === 'ASYNC_EXECUTION_DATA' && msg.execId === executionId) {
+                  if (msg.type === 'ASYNC_EXECUTION_DATA' && msg.execId === execId) {
                     executionContext.worker.removeListener('message', listener);
 
                     if (msg.error) {
@@ -852,7 +2132,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               // Wait for async progress data response
               return new Promise((resolve) => {
                 const listener = (msg) => {
-                  if (msg.type === 'ASYNC_PROGRESS_DATA' && msg.execId === executionId) {
+                  if (msg.type === 'ASYNC_PROGRESS_DATA' && msg.execId === execId) {
                     executionContext.worker.removeListener('message', listener);
 
                     if (msg.error) {
@@ -882,6 +2162,94 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               };
             }
 
+          case 'save_context':
+            try {
+              const { saved, skipped, bytes } = await executionContext.saveContext();
+              let text = `Saved ${saved.length} value(s) to ${executionContext.contextFile} (${bytes} bytes)`;
+              if (saved.length > 0) text += `:\n${saved.map(name => `- ${name}`).join('\n')}`;
+              if (skipped.length > 0) {
+                text += `\n\nNot saved (not structured-clone-able):\n${skipped.map(({ name, reason }) => `- ${name}: ${reason}`).join('\n')}`;
+              }
+              return { content: [{ type: 'text', text }] };
+            } catch (error) {
+              return {
+                content: [{ type: 'text', text: `Failed to save context: ${error.message}` }],
+                isError: true
+              };
+            }
+
+          case 'load_context':
+            try {
+              const { loaded, savedAt } = await executionContext.loadContext();
+              return {
+                content: [{ type: 'text', text: `Loaded ${loaded.length} value(s) saved at ${savedAt} from ${executionContext.contextFile}${loaded.length > 0 ? `:\n${loaded.map(name => `- ${name}`).join('\n')}` : ''}` }]
+              };
+            } catch (error) {
+              return {
+                content: [{ type: 'text', text: `Failed to load context: ${error.message}` }],
+                isError: true
+              };
+            }
+
+          case 'inspect_context':
+            try {
+              const { variables } = await executionContext.inspectContext();
+              if (variables.length === 0) {
+                return { content: [{ type: 'text', text: 'The persistent context has no variables' }] };
+              }
+
+              const formatSize = (bytes) => bytes < 1024 ? `${bytes} B`
+                : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB`
+                : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+              const totalBytes = variables.reduce((total, variable) => total + variable.size, 0);
+              const lines = variables.map(({ name, type, size, sizeComplete, lastWrittenBy }) => {
+                const writer = lastWrittenBy === null ? 'unknown'
+                  : lastWrittenBy === 'load_context' ? 'load_context' : `execution ${lastWrittenBy}`;
+                return `- ${name}: ${type}, ~${sizeComplete ? '' : '>'}${formatSize(size)}, last written by ${writer}`;
+              });
+              return {
+                content: [{ type: 'text', text: `Persistent context (${variables.length} variable(s), ~${formatSize(totalBytes)}):\n\n${lines.join('\n')}\n\nUse context.delete(name) in code to remove one, or clear_context() to remove all.` }]
+              };
+            } catch (error) {
+              return {
+                content: [{ type: 'text', text: `Failed to inspect context: ${error.message}` }],
+                isError: true
+              };
+            }
+
+          case 'get_operation_log': {
+            if (args.level !== undefined && args.level !== null && !OPERATION_LOG_LEVELS.includes(args.level)) {
+              throw new Error(`BRUTAL ERROR: level must be one of ${OPERATION_LOG_LEVELS.join(', ')}, got ${JSON.stringify(args.level)}`);
+            }
+            if (args.since && Number.isNaN(Date.parse(args.since))) {
+              throw new Error(`BRUTAL ERROR: since must be an ISO timestamp, got ${JSON.stringify(args.since)}`);
+            }
+
+            try {
+              const { operations } = await executionContext.getOperationLog({ operation: args.operation, level: args.level, since: args.since });
+              if (outputFormat === 'json') {
+                return {
+                  content: [{ type: 'text', text: JSON.stringify({ operations }, null, 2) }],
+                  structuredContent: { operations }
+                };
+              }
+              if (operations.length === 0) {
+                return { content: [{ type: 'text', text: 'No matching operation log entries' }] };
+              }
+              const lines = operations.map(({ timestamp, level, operation, details }) =>
+                `[${timestamp}] ${level.toUpperCase()} ${operation}${details === undefined ? '' : ` ${JSON.stringify(details)}`}`
+              );
+              return {
+                content: [{ type: 'text', text: `Operation log (${operations.length} entries):\n\n${lines.join('\n')}` }]
+              };
+            } catch (error) {
+              return {
+                content: [{ type: 'text', text: `Failed to read operation log: ${error.message}` }],
+                isError: true
+              };
+            }
+          }
+
           case 'send_stdin':
             if (executionContext && executionId && args.stdinData !== undefined) {
               executionContext.sendStdin(executionId, args.stdinData);
@@ -938,8 +2306,35 @@ async function main() {
 
   // Initialize persistent execution context - NO FALLBACKS
   try {
-    executionContext = new ExecutionContextManager(mcpManager);
-    await executionContext.initialize();
+    executionSessions = new ExecutionSessionManager(mcpManager, {
+      maxSessions: config.maxSessions ?? DEFAULT_MAX_SESSIONS,
+      contextDir: join(configDir, '.codemode', 'context'),
+      autoRestoreContext: config.autoRestoreContext ?? false,
+      operationLogFile: typeof config.operationLogFile === 'string' ? resolve(configDir, config.operationLogFile) : config.operationLogFile
+    });
+
+    // Re-push regenerated tool functions whenever a server restarts or reports new tools
+    // Wired before the worker starts: servers revalidating cached manifests may report changes at any time
+    mcpManager.onToolsChanged = (serverName, reason) => {
+      console.error(`[Execute Server] Refreshing worker tools after ${reason} of ${serverName}`);
+      executionSessions.refreshTools();
+    };
+
+    // Route tool progress to the execution that made the call
+    mcpManager.onProgress = (execId, serverName, toolName, progress) => {
+      executionSessions.broadcast({ type: 'MCP_PROGRESS', execId, serverName, toolName, progress });
+    };
+
+    // Deliver resource update notifications to subscribe() callbacks in the worker
+    mcpManager.onResourceUpdated = (serverName, uri) => {
+      executionSessions.broadcast({ type: 'MCP_RESOURCE_UPDATED', serverName, uri });
+    };
+
+    // Forward sampling requests from child servers to our own client
+    mcpManager.onSamplingRequest = (serverName, params) => server.createMessage(params);
+
+    await executionSessions.initialize();
+
     console.error('[Execute Server] Execution context initialized successfully');
   } catch (error) {
     console.error('BRUTAL ERROR: Execution context initialization failed - NO FALLBACKS:', error.message);
@@ -950,8 +2345,8 @@ async function main() {
   // Handle shutdown
   const shutdown = () => {
     console.error('[Execute Server] Shutting down...');
-    if (executionContext) {
-      executionContext.shutdown();
+    if (executionSessions) {
+      executionSessions.shutdown();
     }
     mcpManager.shutdown();
     setTimeout(() => {
@@ -3,19 +3,29 @@
 // Enhanced execution context worker with comprehensive robustness features
 // Communicates with parent via IPC for MCP tool calls
 
-import { createRequire } from 'module';
-import { writeFileSync, mkdirSync, existsSync, readFileSync, unlinkSync } from 'fs';
-import { join, dirname } from 'path';
+import { createRequire, syncBuiltinESMExports } from 'module';
+import childProcess from 'child_process';
+import { inspect, promisify } from 'util';
+import { writeFileSync, mkdirSync, existsSync, readFileSync, createWriteStream } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { randomUUID } from 'crypto';
-
-// Initialize global scope for user code
-global.require = null;
-global.__filename = null;
-global.__dirname = null;
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import { Worker } from 'worker_threads';
+import v8 from 'v8';
+import { ToolError, TimeoutError, ValidationError, ResourceLimitError } from './ast-error-handling.js';
+import { createArgumentValidator } from './schema-validation.js';
+import { evaluateCode, compileSnippet, toReplScript, reserveGlobals, importModule, cleanStack, locateError, codeFrame, formatConsoleArgs, toSandboxResult, serializeError } from './sandbox-runtime.js';
+
+// Initialize global scope for user code (require, __filename, __dirname and __workingDirectory are per-execution, see below)
 global.module = { exports: {} };
 global.exports = global.module.exports;
 
+// Error classes thrown by MCP tool calls, exposed so user code can use instanceof
+global.ToolError = ToolError;
+global.TimeoutError = TimeoutError;
+global.ValidationError = ValidationError;
+
 // Enhanced validation and monitoring systems
 class FileContentValidator {
   static validateWrite(filePath, content) {
@@ -107,10 +117,8 @@ class SyntaxValidator {
     };
 
     try {
-      // Basic syntax check - wrap in async function to allow top-level await
-      const hasAwait = code.includes('await');
-      const wrappedCode = hasAwait ? `(async () => { ${code} })()` : code;
-      new Function(wrappedCode);
+      // Basic syntax check - the same parse the execution uses (top-level await, import/export)
+      toReplScript(code);
 
       // More detailed analysis
       const lines = code.split('\n');
@@ -420,10 +428,25 @@ class ToolAvailabilityChecker {
   }
 }
 
+// Operation events go to a ring buffer (read with the get_operation_log action) and, when configured, a JSONL file -
+// never to the console, where they would end up in the executions' captured output
 class OperationLogger {
-  constructor() {
-    this.operations = [];
+  constructor(file = process.env.CODEMODE_OPERATION_LOG_FILE) {
     this.maxOperations = 1000;
+    this.operations = new Array(this.maxOperations);
+    this.next = 0;
+    this.size = 0;
+    this.stream = null;
+
+    if (file) {
+      mkdirSync(dirname(file), { recursive: true });
+      this.stream = createWriteStream(file, { flags: 'a' });
+      this.stream.on('error', (error) => {
+        // Written straight to stderr: console.error would be captured if an execution triggered the write
+        process.stderr.write(`[Operation Logger] Stopped writing ${file}: ${error.message}\n`);
+        this.stream = null;
+      });
+    }
   }
 
   log(operation, details, level = 'info') {
@@ -436,14 +459,18 @@ class OperationLogger {
       state: this.captureState()
     };
 
-    this.operations.push(logEntry);
+    // Overwrite the oldest entry once the buffer is full
+    this.operations[this.next] = logEntry;
+    this.next = (this.next + 1) % this.maxOperations;
+    this.size = Math.min(this.size + 1, this.maxOperations);
 
-    // Keep only the last maxOperations entries
-    if (this.operations.length > this.maxOperations) {
-      this.operations = this.operations.slice(-this.maxOperations);
+    if (this.stream) {
+      try {
+        this.stream.write(JSON.stringify(logEntry) + '\n');
+      } catch (error) {
+        this.stream.write(JSON.stringify({ ...logEntry, details: inspect(details) }) + '\n');
+      }
     }
-
-    console.log(`[Operation Logger] ${level.toUpperCase()}: ${operation} - ${JSON.stringify(details)}`);
   }
 
   captureState() {
@@ -454,8 +481,10 @@ class OperationLogger {
     };
   }
 
+  // Entries oldest first
   getOperations(filter = {}) {
-    let filtered = this.operations;
+    const start = (this.next - this.size + this.maxOperations) % this.maxOperations;
+    let filtered = Array.from({ length: this.size }, (_, index) => this.operations[(start + index) % this.maxOperations]);
 
     if (filter.operation) {
       filtered = filtered.filter(op => op.operation === filter.operation);
@@ -474,7 +503,9 @@ class OperationLogger {
   }
 
   clear() {
-    this.operations = [];
+    this.operations = new Array(this.maxOperations);
+    this.next = 0;
+    this.size = 0;
   }
 }
 
@@ -484,131 +515,268 @@ const toolChecker = new ToolAvailabilityChecker();
 const operationLogger = new OperationLogger();
 
 // ES module execution helper
-class ESModuleExecutor {
-  constructor() {
-    this.tempDir = join(process.cwd(), '.temp-es-modules');
-    this.ensureTempDir();
-  }
-
-  ensureTempDir() {
-    if (!existsSync(this.tempDir)) {
-      mkdirSync(this.tempDir, { recursive: true });
+const pendingMCPCalls = new Map();
+let nextCallId = 0;
+const resourceSubscriptions = new Map(); // `${serverName} ${uri}` -> { serverName, uri, callbacks: Set of onUpdate callbacks }
+let mcpTimeouts = {}; // serverName -> { default, tools } as configured in .codemode.json
+let mcpToolSchemas = {}; // serverName -> { toolName: inputSchema }
+const argumentValidators = new Map(); // 'serverName.toolName' -> validator, built on first call
+const defaultMCPCallTimeout = 180000;
+const mcpCallTimeoutGrace = 5000; // Let the parent's TimeoutError arrive before the worker gives up
+
+// Tracks which execution an async call chain belongs to: { execId, workingDirectory, require, abortController, children, output, capturing }
+// Executions overlap once handed over to async mode, so anything execution-specific must be read from here
+const executionStore = new AsyncLocalStorage();
+
+// Globals user code sees that depend on the execution it runs in
+// Outside an execution they keep the last value assigned, like plain globals
+function defineExecutionGlobal(name, fromStore) {
+  let fallback = null;
+  Object.defineProperty(global, name, {
+    configurable: true,
+    get() {
+      const store = executionStore.getStore();
+      return store ? fromStore(store) : fallback;
+    },
+    set(value) {
+      // Assigning inside an execution (e.g. require = createRequire(...)) only affects that execution
+      const store = executionStore.getStore();
+      if (store) {
+        store.overrides[name] = value;
+      } else {
+        fallback = value;
+      }
     }
+  });
+}
+
+function storeValue(name, compute) {
+  return (store) => name in store.overrides ? store.overrides[name] : compute(store);
+}
+
+defineExecutionGlobal('__workingDirectory', storeValue('__workingDirectory', store => store.workingDirectory));
+defineExecutionGlobal('__dirname', storeValue('__dirname', store => store.workingDirectory));
+defineExecutionGlobal('__filename', storeValue('__filename', store => store.workingDirectory + '/[execute]'));
+defineExecutionGlobal('require', storeValue('require', store => store.require));
+// Aborted when the execution is killed - pass it to fetch() and friends, or check signal.aborted in long loops
+defineExecutionGlobal('signal', storeValue('signal', store => store.abortController.signal));
+
+// Target of static imports and import() in executed code - resolves from the execution's working directory
+global.__importModule = (specifier, options) => importModule(specifier, process.cwd(), options);
+
+// Child processes user code starts are tied to its execution so killing the execution stops them too
+function trackChild(child) {
+  const store = executionStore.getStore();
+  if (!store || !child) return child;
+  if (store.abortController.signal.aborted) {
+    child.kill('SIGKILL');
+    return child;
   }
+  store.children.add(child);
+  child.once('exit', () => store.children.delete(child));
+  return child;
+}
 
-  async executeESModule(code, workingDirectory) {
-    const moduleId = randomUUID();
-    const tempFilePath = join(this.tempDir, `module-${moduleId}.mjs`);
+for (const method of ['spawn', 'exec', 'execFile', 'fork']) {
+  const original = childProcess[method];
+  const tracked = function (...args) {
+    return trackChild(original.apply(this, args));
+  };
+  // util.promisify(exec) and friends resolve through a custom function that exposes the child as promise.child
+  if (original[promisify.custom]) {
+    const promisified = original[promisify.custom];
+    tracked[promisify.custom] = (...args) => {
+      const promise = promisified(...args);
+      trackChild(promise.child);
+      return promise;
+    };
+  }
+  childProcess[method] = tracked;
+}
+syncBuiltinESMExports();
+
+// process.cwd() (and so path.resolve) answers with the execution's own directory
+// The real process directory is still changed at the start of each execution for raw fs calls with relative paths
+const originalCwd = process.cwd.bind(process);
+const originalChdir = process.chdir.bind(process);
+process.cwd = () => executionStore.getStore()?.workingDirectory ?? originalCwd();
+process.chdir = (directory) => {
+  originalChdir(resolve(process.cwd(), directory));
+  const store = executionStore.getStore();
+  if (store) {
+    store.workingDirectory = originalCwd();
+    store.require = createRequire(store.workingDirectory + '/package.json');
+  }
+};
 
-    try {
-      // Validate syntax before execution
-      const validation = SyntaxValidator.validateJavaScript(code);
-      if (!validation.isValid) {
-        throw new Error(`Syntax validation failed: ${validation.errors.join(', ')}`);
-      }
+// Persistent execution context - maintains state across all executions
+const persistentContext = {};
 
-      // Log warnings if any
-      if (validation.warnings.length > 0) {
-        operationLogger.log('ES_MODULE_EXECUTION', {
-          warnings: validation.warnings,
-          suggestions: validation.suggestions
-        }, 'warning');
-      }
+// Globals Node and the sandbox define themselves (fetch, tool namespaces, aliases, helpers) - never user variables
+const sandboxGlobals = new Set(Object.keys(global));
 
-      // Prepare the ES module code with proper context
-      const moduleCode = this.prepareModuleCode(code, workingDirectory, tempFilePath);
+// Infrastructure globals that are never saved into the persistent context
+const systemProps = new Set([
+  '__filename', '__dirname', 'module', 'exports', 'require',
+  'console', 'process', 'Buffer', 'global', 'setTimeout',
+  'setInterval', 'clearTimeout', 'clearInterval', 'setImmediate',
+  'clearImmediate', 'clear_context', 'context', 'signal', '__toolFunctions', '__importModule',
+  '__callMCPTool', '__callMCPMethod', '__subscribeMCPResource', '__validateMCPArgs', '__noteAppliedAliases', '__workingDirectory', 'navigator', 'window',
+  'ToolError', 'TimeoutError', 'ValidationError', 'persistentContext'
+]);
 
-      // Write the temporary module file with validation
-      const writeValidation = FileContentValidator.validateWrite(tempFilePath, moduleCode);
-      if (!writeValidation.isValid) {
-        throw new Error(`Failed to write temporary module: ${writeValidation.errors.join(', ')}`);
-      }
+// Snippets can't declare these at the top level, see reserveGlobals()
+reserveGlobals([...sandboxGlobals, ...systemProps]);
 
-      writeFileSync(tempFilePath, moduleCode, 'utf8');
+function isContextVariable(name) {
+  return !systemProps.has(name) && !sandboxGlobals.has(name);
+}
 
-      // Execute using dynamic import
-      const moduleUrl = `file://${tempFilePath}`;
-      const module = await import(moduleUrl);
+// Context variable -> execId that last assigned it ('load_context' for values restored from a snapshot)
+const contextWriters = new Map();
 
-      // Return the module's default export or the module itself
-      return module.default || module;
+// Bump when the snapshot layout changes so old files are rejected
+const CONTEXT_SNAPSHOT_FORMAT = 1;
 
-    } finally {
-      // Clean up temporary file
-      try {
-        unlinkSync(tempFilePath);
-      } catch (error) {
-        // Ignore cleanup errors
-      }
+// Write every structured-clone-able context value to file (save_context)
+function saveContextSnapshot(file) {
+  const values = {};
+  const saved = [];
+  const skipped = [];
+  for (const [name, value] of Object.entries(persistentContext)) {
+    try {
+      v8.serialize(value);
+      values[name] = value;
+      saved.push(name);
+    } catch (error) {
+      skipped.push({ name, reason: typeof value === 'function' ? 'function' : error.message });
     }
   }
 
-  prepareModuleCode(code, workingDirectory, filePath) {
-    // Prepare module with context variables
-    let moduleCode = code;
-
-    // Check if imports and variables are already present
-    const hasFileURLToPathImport = code.includes('fileURLToPath') && code.includes('import');
-    const hasDirnameImport = code.includes('dirname') && code.includes('import');
-    const hasCreateRequireImport = code.includes('createRequire') && code.includes('import');
+  // Serialized together so values that share objects still share them after loading
+  const data = v8.serialize({ format: CONTEXT_SNAPSHOT_FORMAT, savedAt: new Date().toISOString(), values });
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, data);
+  return { saved, skipped, bytes: data.length };
+}
 
-    const hasFilenameDecl = code.includes('__filename') && (code.includes('const __filename') || code.includes('let __filename') || code.includes('var __filename'));
-    const hasDirnameDecl = code.includes('__dirname') && (code.includes('const __dirname') || code.includes('let __dirname') || code.includes('var __dirname'));
-    const hasRequireDecl = code.includes('require = ') || code.includes('const require');
+// Merge a snapshot back into the context (load_context); existing values with the same name are replaced
+function loadContextSnapshot(file) {
+  if (!existsSync(file)) {
+    throw new Error(`BRUTAL ERROR: No context snapshot at ${file} - save one with action "save_context" first`);
+  }
+  const snapshot = v8.deserialize(readFileSync(file));
+  if (snapshot?.format !== CONTEXT_SNAPSHOT_FORMAT) {
+    throw new Error(`BRUTAL ERROR: ${file} is not a context snapshot this version can read - NO FALLBACKS`);
+  }
 
-    // Build the import prefix only for missing imports
-    let importPrefix = '';
-    if (!hasCreateRequireImport) {
-      importPrefix += `import { createRequire } from 'module';\n`;
-    }
-    if (!hasFileURLToPathImport) {
-      importPrefix += `import { fileURLToPath } from 'url';\n`;
-    }
-    if (!hasDirnameImport) {
-      importPrefix += `import { dirname } from 'path';\n`;
+  for (const [name, value] of Object.entries(snapshot.values)) {
+    persistentContext[name] = value;
+    contextWriters.set(name, 'load_context');
+    try {
+      global[name] = value;
+    } catch (e) {
+      // Skip read-only properties
     }
+  }
+  return { loaded: Object.keys(snapshot.values), savedAt: snapshot.savedAt };
+}
 
-    // Build the variable declarations only for missing ones
-    let variableSetup = '';
-    if (!hasFilenameDecl) {
-      variableSetup += `const __filename = fileURLToPath(import.meta.url);\n`;
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (typeof value === 'function') {
+    return /^class\b/.test(Function.prototype.toString.call(value))
+      ? `class ${value.name || '(anonymous)'}`
+      : `function ${value.name || '(anonymous)'}`;
+  }
+  if (typeof value !== 'object') return typeof value;
+  if (value instanceof Map || value instanceof Set) return `${value.constructor.name}(${value.size})`;
+  if (ArrayBuffer.isView(value)) return `${value.constructor.name}(${value.byteLength} bytes)`;
+  const name = Object.getPrototypeOf(value)?.constructor?.name;
+  return name || 'Object';
+}
+
+const SIZE_WALK_LIMIT = 100000; // objects visited per value before the size is reported as a lower bound
+
+// Rough retained size in bytes; objects reachable more than once are counted once, getters are not invoked
+function approximateSize(root) {
+  const seen = new Set();
+  const pending = [root];
+  let bytes = 0;
+  let visited = 0;
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+    switch (typeof value) {
+      case 'string': bytes += 12 + value.length * 2; continue;
+      case 'number':
+      case 'bigint':
+      case 'symbol': bytes += 8; continue;
+      case 'boolean': bytes += 4; continue;
+      case 'undefined': continue;
     }
-    if (!hasDirnameDecl) {
-      variableSetup += `const __dirname = dirname(__filename);\n`;
+    if (value === null || seen.has(value)) continue;
+    if (++visited > SIZE_WALK_LIMIT) return { bytes, complete: false };
+    seen.add(value);
+
+    if (typeof value === 'function') {
+      bytes += 64 + Function.prototype.toString.call(value).length * 2;
+      continue;
     }
-    if (!hasRequireDecl) {
-      variableSetup += `const require = createRequire(import.meta.url);\n`;
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      bytes += 64 + value.byteLength;
+      continue;
     }
 
-    // Add the context setup if any imports or variables were added
-    if (importPrefix || variableSetup) {
-      moduleCode = importPrefix +
-        (variableSetup ? '\n' + variableSetup : '') +
-        `// Make require available globally for compatibility
-if (!global.require) global.require = require;
-
-` + moduleCode;
+    bytes += 32;
+    if (value instanceof Map) {
+      for (const [key, entry] of value) pending.push(key, entry);
+    } else if (value instanceof Set) {
+      for (const entry of value) pending.push(entry);
+    }
+    for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(value))) {
+      bytes += 8 + key.length * 2;
+      if ('value' in descriptor) pending.push(descriptor.value);
     }
-
-    return moduleCode;
-  }
-
-  isESModule(code) {
-    // Check if code contains ES module import/export syntax
-    return /\bimport\s+.*\s+from\s+['"]|^\s*export\s+/.test(code);
   }
+  return { bytes, complete: true };
 }
 
-const esModuleExecutor = new ESModuleExecutor();
+// Persisted user variables with type, approximate size and the execution that last wrote them
+function describeContext() {
+  const currentExecId = executionStore.getStore()?.execId;
+  return Object.keys(global).filter(isContextVariable).map(name => {
+    const value = global[name];
+    // Assignments made by the running execution are only recorded when it finishes
+    const pendingWrite = currentExecId !== undefined && persistentContext[name] !== value;
+    const { bytes, complete } = approximateSize(value);
+    return {
+      name,
+      type: describeType(value),
+      size: bytes,
+      sizeComplete: complete,
+      lastWrittenBy: pendingWrite ? currentExecId : contextWriters.get(name) ?? null
+    };
+  });
+}
 
-const pendingMCPCalls = new Map();
-let nextCallId = 0;
+function deleteContextVariable(name) {
+  if (!isContextVariable(name) || !(name in global || name in persistentContext)) return false;
+  delete persistentContext[name];
+  delete global[name];
+  contextWriters.delete(name);
+  return true;
+}
 
-// Persistent execution context - maintains state across all executions
-const persistentContext = {};
+// In-sandbox view of the persistent context
+global.context = {
+  list: () => describeContext(),
+  delete: (name) => deleteContextVariable(name)
+};
 const runningExecutions = new Map(); // Track running executions
 const asyncExecutions = new Map(); // Track async executions after handover
-const asyncHandoverTimeout = 30000; // 30 seconds default
+const asyncHandoverTimeout = Number(process.env.CODEMODE_ASYNC_HANDOVER_MS) || 30000; // 30 seconds default
 
 // Periodic execution reporting
 let executionReportTimer = null;
@@ -662,102 +830,218 @@ function stopExecutionReporting() {
 const interactiveSessions = new Map(); // Track interactive sessions with stdin/stdout
 const stdinQueues = new Map(); // Queue stdin writes for interactive sessions
 
-// Capture console output
-let capturedOutput = '';
+// Capture console output per execution; output from outside any execution goes straight through
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
 const originalConsoleWarn = console.warn;
 
-function startCapture(execId) {
-  capturedOutput = '';
+function captureConsole(type, original) {
+  return (...args) => {
+    const store = executionStore.getStore();
+    if (!store?.capturing) {
+      original(...args);
+      return;
+    }
 
-  console.log = (...args) => {
-    const msg = args.map(arg =>
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-    ).join(' ');
-    capturedOutput += msg + '\n';
+    recordOutput(store, type, formatConsoleArgs(args));
+    original(...args);
+  };
+}
 
-    // Store in execution history for async handover
-    let execution = runningExecutions.get(execId);
-    if (!execution) {
-      execution = asyncExecutions.get(execId);
-    }
-    if (execution) {
-      execution.outputHistory.push({
-        timestamp: Date.now(),
-        type: 'log',
-        message: msg
-      });
-    }
+// Adds a console message to the execution's captured output, history and stream
+function recordOutput(store, type, msg) {
+  store.output += msg + '\n';
+
+  // Store in execution history for async handover
+  const execution = runningExecutions.get(store.execId) || asyncExecutions.get(store.execId);
+  if (execution) {
+    execution.outputHistory.push({
+      timestamp: Date.now(),
+      type,
+      message: msg
+    });
+  }
 
-    originalConsoleLog(...args);
+  // Stream output in real-time
+  process.send({ type: 'STREAM_OUTPUT', execId: store.execId, output: msg });
+}
 
-    // Stream output in real-time
-    if (execId !== undefined) {
-      process.send({ type: 'STREAM_OUTPUT', execId, output: msg });
-    }
-  };
+console.log = captureConsole('log', originalConsoleLog);
+console.error = captureConsole('error', originalConsoleError);
+console.warn = captureConsole('warn', originalConsoleWarn);
 
-  console.error = (...args) => {
-    const msg = args.map(arg =>
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-    ).join(' ');
-    capturedOutput += msg + '\n';
+function startCapture(store) {
+  store.output = '';
+  store.capturing = true;
+}
 
-    // Store in execution history for async handover
-    let execution = runningExecutions.get(execId);
-    if (!execution) {
-      execution = asyncExecutions.get(execId);
-    }
-    if (execution) {
-      execution.outputHistory.push({
-        timestamp: Date.now(),
-        type: 'error',
-        message: msg
-      });
-    }
+function stopCapture(store) {
+  store.capturing = false;
+  return store.output;
+}
 
-    originalConsoleError(...args);
+const CHILD_KILL_GRACE_MS = 2000; // SIGTERM first, SIGKILL for children still running after this
+const THREAD_ABORT_GRACE_MS = 100; // Time a limited execution's thread gets to run its abort listeners before it is terminated
 
-    // Stream output in real-time
-    if (execId !== undefined) {
-      process.send({ type: 'STREAM_OUTPUT', execId, output: msg });
-    }
-  };
+// Abort the thread's signal, then stop it - a thread stuck in a synchronous loop never sees the abort
+function stopThread(thread, message) {
+  thread.postMessage({ type: 'ABORT', message });
+  setTimeout(() => thread.terminate(), THREAD_ABORT_GRACE_MS).unref();
+}
 
-  console.warn = (...args) => {
-    const msg = args.map(arg =>
-      typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-    ).join(' ');
-    capturedOutput += msg + '\n';
+// Cooperative cancellation: abort the execution's signal, fail the MCP calls it waits on and stop its
+// child processes. Code that ignores all of that is handled by the parent, which replaces the worker.
+function cancelExecution(execution) {
+  if (execution.killed) return;
+  execution.killed = true;
+  if (execution.handoverTimer) {
+    clearTimeout(execution.handoverTimer);
+  }
 
-    // Store in execution history for async handover
-    let execution = runningExecutions.get(execId);
-    if (!execution) {
-      execution = asyncExecutions.get(execId);
-    }
-    if (execution) {
-      execution.outputHistory.push({
-        timestamp: Date.now(),
-        type: 'warn',
-        message: msg
-      });
-    }
+  const { abortController, children } = execution.store;
+  // Abort listeners run inside the execution, so require, process.cwd() and console capture work in them
+  executionStore.run(execution.store, () => {
+    abortController.abort(new DOMException(`Execution ${execution.id} was killed`, 'AbortError'));
+  });
 
-    originalConsoleWarn(...args);
+  for (const [callId, call] of pendingMCPCalls) {
+    if (call.execId !== execution.id) continue;
+    pendingMCPCalls.delete(callId);
+    call.reject(abortController.signal.reason);
+  }
 
-    // Stream output in real-time
-    if (execId !== undefined) {
-      process.send({ type: 'STREAM_OUTPUT', execId, output: msg });
-    }
-  };
+  for (const child of children) {
+    child.kill('SIGTERM');
+    setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    }, CHILD_KILL_GRACE_MS).unref();
+  }
+
+  // Limited executions run in a thread that can simply be stopped
+  if (execution.thread) stopThread(execution.thread, abortController.signal.reason.message);
 }
 
-function stopCapture() {
-  console.log = originalConsoleLog;
-  console.error = originalConsoleError;
-  console.warn = originalConsoleWarn;
-  return capturedOutput;
+// Runs one execution in a worker thread so its limits hold even against synchronous loops
+// The thread gets structured clones of the context and sends back the variables it leaves behind
+function runWithLimits(store, executionInfo, code, { timeoutMs, maxMemoryMb, maxOutputBytes }) {
+  const context = {};
+  const uncopiedContext = [];
+  for (const [name, value] of Object.entries(persistentContext)) {
+    try {
+      v8.serialize(value);
+      context[name] = value;
+    } catch (error) {
+      uncopiedContext.push(name);
+    }
+  }
+  if (uncopiedContext.length > 0) {
+    console.warn(`[Limits] Not available in this execution (can't be copied to its thread): ${uncopiedContext.join(', ')}`);
+  }
+
+  const thread = new Worker(new URL('./limited-execution-thread.js', import.meta.url), {
+    workerData: {
+      code,
+      execId: store.execId,
+      workingDirectory: store.workingDirectory,
+      context,
+      uncopiedContext,
+      toolFunctions: global.__toolFunctions,
+      toolSchemas: mcpToolSchemas
+    },
+    resourceLimits: maxMemoryMb ? { maxOldGenerationSizeMb: maxMemoryMb } : undefined
+  });
+  executionInfo.thread = thread;
+  operationLogger.log('LIMITED_EXECUTION', { execId: store.execId, timeoutMs, maxMemoryMb, maxOutputBytes });
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let outputBytes = 0;
+
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      executionInfo.thread = null;
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const exceed = (limit, value, message) => {
+      operationLogger.log('LIMIT_EXCEEDED', { execId: store.execId, limit, value }, 'error');
+      finish(new ResourceLimitError(`BRUTAL ERROR: ${message} - execution terminated`, limit, value));
+      stopThread(thread, message);
+    };
+
+    const timer = timeoutMs
+      ? setTimeout(() => exceed('timeoutMs', timeoutMs, `Execution exceeded timeoutMs (${timeoutMs}ms)`), timeoutMs)
+      : null;
+
+    // Bound so output and MCP calls are attributed to this execution
+    thread.on('message', AsyncResource.bind(async (msg) => {
+      if (settled) return;
+
+      if (msg.type === 'CONSOLE') {
+        outputBytes += Buffer.byteLength(msg.message) + 1;
+        if (maxOutputBytes && outputBytes > maxOutputBytes) {
+          const remaining = maxOutputBytes - (outputBytes - Buffer.byteLength(msg.message) - 1);
+          if (remaining > 0) {
+            recordOutput(store, msg.level, Buffer.from(msg.message).subarray(0, remaining).toString());
+          }
+          exceed('maxOutputBytes', maxOutputBytes, `Execution output exceeded maxOutputBytes (${maxOutputBytes} bytes)`);
+          return;
+        }
+        recordOutput(store, msg.level, msg.message);
+      } else if (msg.type === 'REQUEST') {
+        const { requestId, kind, payload } = msg;
+        try {
+          const result = kind === 'tool'
+            ? await callMCPToolRaw(payload.serverName, payload.toolName, payload.args)
+            : await global.__callMCPMethod(payload.serverName, payload.method, payload.params);
+          if (!settled) thread.postMessage({ type: 'RESPONSE', requestId, result });
+        } catch (error) {
+          if (!settled) thread.postMessage({ type: 'RESPONSE', requestId, error: serializeError(error) });
+        }
+      } else if (msg.type === 'ALIASES_APPLIED') {
+        global.__noteAppliedAliases(msg.serverName, msg.toolName, msg.applied);
+      } else if (msg.type === 'DONE') {
+        for (const [name, value] of Object.entries(msg.variables)) {
+          if (msg.assigned.includes(name)) contextWriters.set(name, store.execId);
+          persistentContext[name] = value;
+          global[name] = value;
+        }
+        for (const name of msg.deleted) {
+          delete persistentContext[name];
+          delete global[name];
+        }
+        if (msg.skipped.length > 0) {
+          console.warn(`[Limits] Not kept after this execution (can't be copied from its thread): ${msg.skipped.join(', ')}`);
+        }
+        finish(null, msg.result);
+      } else if (msg.type === 'FAILED') {
+        const error = new Error(msg.error.message);
+        if (msg.error.name) error.name = msg.error.name;
+        error.stack = msg.error.stack;
+        finish(error);
+      }
+    }));
+
+    thread.on('error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        exceed('maxMemoryMb', maxMemoryMb, `Execution exceeded maxMemoryMb (${maxMemoryMb}MB)`);
+      } else {
+        finish(error);
+      }
+    });
+
+    thread.on('exit', (code) => {
+      finish(store.abortController.signal.aborted
+        ? store.abortController.signal.reason
+        : new Error(`BRUTAL ERROR: Execution thread exited with code ${code} before finishing - NO FALLBACKS`));
+    });
+  });
 }
 
 function moveToAsyncMode(execId) {
@@ -797,7 +1081,8 @@ function moveToAsyncMode(execId) {
       startTime: execution.startTime,
       asyncStartTime: execution.asyncStartTime,
       currentOutput: currentOutput,
-      isAsync: true
+      isAsync: true,
+      asyncHandoverTimeout
     }
   });
 
@@ -806,20 +1091,30 @@ function moveToAsyncMode(execId) {
 
 // Enhanced error handler
 class ErrorHandler {
-  static async handleError(error, context = {}) {
+  // source: the full snippet, to point into it - context.code is only a truncated copy for the log
+  // language: the language the snippet was compiled as, to map positions in stripped TypeScript back to it
+  static async handleError(error, context = {}, source, language) {
     const errorInfo = {
       message: error.message,
-      stack: error.stack,
+      stack: source === undefined ? error.stack : cleanStack(error.stack, context.execId, source, language),
       context,
       timestamp: new Date().toISOString(),
       suggestions: []
     };
 
+    const location = source === undefined ? null : locateError(error, context.execId, source, language);
+    if (location) {
+      errorInfo.location = location;
+      errorInfo.codeFrame = codeFrame(source, location);
+    }
+
     // Log the error
     operationLogger.log('ERROR', errorInfo, 'error');
 
     // Generate recovery suggestions based on error type
-    if (error.message.includes('ENOENT')) {
+    if (error instanceof ResourceLimitError) {
+      errorInfo.suggestions.push(...error.suggestions);
+    } else if (error.message.includes('ENOENT')) {
       errorInfo.suggestions.push('Check if file paths are correct');
       errorInfo.suggestions.push('Ensure working directory is set properly');
     } else if (error.message.includes('EACCES')) {
@@ -847,10 +1142,39 @@ process.on('message', async (msg) => {
 
       if (success) {
         resolve(result);
+      } else if (msg.errorInfo?.name === 'TimeoutError') {
+        reject(new TimeoutError(result, msg.errorInfo.tool, msg.errorInfo.timeoutMs));
       } else {
         reject(new Error(result));
       }
     }
+  } else if (msg.type === 'MCP_RESOURCE_UPDATED') {
+    const { serverName, uri } = msg;
+    const callbacks = resourceSubscriptions.get(`${serverName} ${uri}`)?.callbacks;
+    if (callbacks) {
+      operationLogger.log('MCP_RESOURCE_UPDATED', { serverName, uri });
+      for (const onUpdate of callbacks) {
+        Promise.resolve()
+          .then(() => onUpdate(uri))
+          .catch((error) => originalConsoleError(`[Resource Subscription] ${serverName} ${uri} callback failed:`, error.message));
+      }
+    }
+  } else if (msg.type === 'MCP_PROGRESS') {
+    // Progress notification for a tool call made by an execution
+    const { execId, serverName, toolName, progress } = msg;
+    const total = progress.total !== undefined ? `/${progress.total}` : '';
+    const message = `[${serverName}.${toolName} progress] ${progress.progress}${total}${progress.message ? ` - ${progress.message}` : ''}`;
+
+    const execution = runningExecutions.get(execId) || asyncExecutions.get(execId);
+    if (execution) {
+      execution.outputHistory.push({
+        timestamp: Date.now(),
+        type: 'progress',
+        message
+      });
+    }
+
+    process.send({ type: 'STREAM_OUTPUT', execId, output: message });
   } else if (msg.type === 'HEALTH_CHECK') {
     // Respond to health check requests
     const health = {
@@ -866,27 +1190,20 @@ process.on('message', async (msg) => {
   } else if (msg.type === 'GET_OPERATION_LOG') {
     // Return operation log
     const operations = operationLogger.getOperations(msg.filter || {});
-    process.send({ type: 'OPERATION_LOG', operations });
+    process.send({ type: 'OPERATION_LOG', requestId: msg.requestId, operations });
   } else if (msg.type === 'KILL_EXECUTION') {
     operationLogger.log('KILL_EXECUTION', { execId: msg.execId });
-    // Original kill execution logic...
     const execId = msg.execId;
     let killed = false;
     let error = null;
+    let killedCount = null;
 
-    if (execId) {
+    if (execId !== undefined && execId !== null) {
       // Kill specific execution
-      if (runningExecutions.has(execId)) {
-        const execution = runningExecutions.get(execId);
-        execution.killed = true;
-        if (execution.handoverTimer) {
-          clearTimeout(execution.handoverTimer);
-        }
+      const execution = runningExecutions.get(execId) || asyncExecutions.get(execId);
+      if (execution) {
+        cancelExecution(execution);
         runningExecutions.delete(execId);
-        killed = true;
-      } else if (asyncExecutions.has(execId)) {
-        const execution = asyncExecutions.get(execId);
-        execution.killed = true;
         asyncExecutions.delete(execId);
         killed = true;
       } else {
@@ -894,24 +1211,15 @@ process.on('message', async (msg) => {
       }
     } else {
       // Kill all executions
-      let count = 0;
-      runningExecutions.forEach((execution, id) => {
-        execution.killed = true;
-        if (execution.handoverTimer) {
-          clearTimeout(execution.handoverTimer);
-        }
-        runningExecutions.delete(id);
-        count++;
-      });
-      asyncExecutions.forEach((execution, id) => {
-        execution.killed = true;
-        asyncExecutions.delete(id);
-        count++;
-      });
+      const executions = [...runningExecutions.values(), ...asyncExecutions.values()];
+      executions.forEach(cancelExecution);
+      runningExecutions.clear();
+      asyncExecutions.clear();
+      killedCount = executions.length;
       killed = true;
     }
 
-    process.send({ type: 'EXECUTION_KILLED', execId, success: killed, error, killedCount: execId ? null : Array.from(runningExecutions.keys()).length + Array.from(asyncExecutions.keys()).length });
+    process.send({ type: 'EXECUTION_KILLED', execId, success: killed, error, killedCount });
   } else if (msg.type === 'GET_ASYNC_EXECUTION') {
     operationLogger.log('GET_ASYNC_EXECUTION', { execId: msg.execId });
     // Original get async execution logic...
@@ -953,6 +1261,23 @@ process.on('message', async (msg) => {
       isKilled: execution.killed
     }));
     process.send({ type: 'ASYNC_EXECUTIONS_LIST', executions: asyncList });
+  } else if (msg.type === 'SAVE_CONTEXT') {
+    operationLogger.log('SAVE_CONTEXT', { file: msg.file });
+    try {
+      process.send({ type: 'CONTEXT_SAVED', requestId: msg.requestId, ...saveContextSnapshot(msg.file) });
+    } catch (error) {
+      process.send({ type: 'CONTEXT_SAVED', requestId: msg.requestId, error: error.message });
+    }
+  } else if (msg.type === 'LOAD_CONTEXT') {
+    operationLogger.log('LOAD_CONTEXT', { file: msg.file });
+    try {
+      process.send({ type: 'CONTEXT_LOADED', requestId: msg.requestId, ...loadContextSnapshot(msg.file) });
+    } catch (error) {
+      process.send({ type: 'CONTEXT_LOADED', requestId: msg.requestId, error: error.message });
+    }
+  } else if (msg.type === 'INSPECT_CONTEXT') {
+    operationLogger.log('INSPECT_CONTEXT');
+    process.send({ type: 'CONTEXT_INSPECTED', requestId: msg.requestId, variables: describeContext() });
   } else if (msg.type === 'GET_SERVER_STATE') {
     operationLogger.log('GET_SERVER_STATE');
     // Original get server state logic with enhanced monitoring
@@ -1084,11 +1409,27 @@ process.on('message', async (msg) => {
     const execId = msg.execId;
     const code = msg.code;
     const workingDirectory = msg.workingDirectory;
+    const limits = msg.limits; // { timeoutMs, maxMemoryMb, maxOutputBytes } or undefined
+    const language = msg.language; // 'javascript', 'typescript', 'tsx' or undefined to detect
+    const outputFormat = msg.outputFormat; // 'json' adds a structured report to EXEC_RESULT
 
     operationLogger.log('EXECUTE_START', { execId, workingDirectory });
 
-    (async () => {
-      startCapture(execId);
+    const store = {
+      execId,
+      workingDirectory,
+      require: createRequire(workingDirectory + '/package.json'),
+      abortController: new AbortController(),
+      children: new Set(),
+      toolCalls: [],
+      filesTouched: new Set(),
+      overrides: {},
+      output: '',
+      capturing: false
+    };
+
+    executionStore.run(store, async () => {
+      startCapture(store);
 
       // Track this execution with timeout detection
       const executionInfo = {
@@ -1099,7 +1440,9 @@ process.on('message', async (msg) => {
         killed: false,
         handoverTimer: null,
         isAsync: false,
-        outputHistory: []
+        outputHistory: [],
+        appliedAliases: new Set(),
+        store
       };
       runningExecutions.set(execId, executionInfo);
 
@@ -1111,17 +1454,11 @@ process.on('message', async (msg) => {
         }
       }, asyncHandoverTimeout);
 
+      // TypeScript/TSX is stripped to JavaScript on the same lines; error positions are mapped back to the snippet
+      let compiled;
       try {
-        process.chdir(workingDirectory);
-
-        // Update context variables for current working directory
-        global.__workingDirectory = workingDirectory;
-        global.__dirname = workingDirectory;
-        global.__filename = workingDirectory + '/[execute]';
-
-        // Create a scoped require for the working directory
-        const scopedRequire = createRequire(workingDirectory + '/package.json');
-        global.require = scopedRequire;
+        // __workingDirectory, __dirname, __filename and require come from the store
+        originalChdir(workingDirectory);
 
         // Execute code in persistent context
         // Copy persistent context to global scope, skipping read-only properties
@@ -1136,83 +1473,40 @@ process.on('message', async (msg) => {
         // Execute the code with smart return value handling and validation
         let result;
 
-        // Check if this is an ES module
-        if (esModuleExecutor.isESModule(code)) {
-          operationLogger.log('ES_MODULE_EXECUTION', { execId });
-          try {
-            result = await esModuleExecutor.executeESModule(code, workingDirectory);
-          } catch (esModuleError) {
-            console.error(`BRUTAL ERROR: ES module execution failed for execId ${execId}:`, esModuleError.message);
-            console.error(`BRUTAL ERROR: Code that failed:`, code.substring(0, 500) + (code.length > 500 ? '...' : ''));
-            throw new Error(`BRUTAL ERROR: ES module execution failed - NO FALLBACKS: ${esModuleError.message}`);
-          }
-        } else {
-          // Regular JavaScript execution with syntax validation
-          const validation = SyntaxValidator.validateJavaScript(code);
-          if (!validation.isValid) {
-            throw new Error(`Syntax validation failed: ${validation.errors.join(', ')}`);
-          }
+        try {
+          compiled = compileSnippet(code, language);
+        } catch (error) {
+          const syntaxError = new Error(`Syntax validation failed: Syntax error: ${error.message}`);
+          syntaxError.loc = error.loc; // For the code frame
+          throw syntaxError;
+        }
 
-          operationLogger.log('JAVASCRIPT_EXECUTION', {
-            execId,
-            warnings: validation.warnings,
-            suggestions: validation.suggestions
-          });
+        // Syntax validation - import/export code goes through the same transform, sharing the context and working directory
+        const validation = SyntaxValidator.validateJavaScript(compiled.code);
+        if (!validation.isValid) {
+          throw new Error(`Syntax validation failed: ${validation.errors.join(', ')}`);
+        }
 
-          // Strategy 1: Try as pure expression (fastest for simple cases)
-          try {
-            result = await eval(`(async () => { return (${code}); })()`);
-          } catch (expressionError) {
-            // Strategy 2: Try to intelligently wrap the code
-            // Check if code has multiple statements by looking for semicolons or newlines
-            const trimmedCode = code.trim();
-            const hasMultipleStatements = trimmedCode.includes(';') || trimmedCode.includes('\n');
-
-            if (hasMultipleStatements) {
-              // Strategy 2a: For multi-statement code, try to extract and return last expression
-              const lines = trimmedCode.split(/[;\n]/).map(l => l.trim()).filter(l => l.length > 0);
-
-              if (lines.length > 0) {
-                const lastLine = lines[lines.length - 1];
-                const previousLines = lines.slice(0, -1).join(';\n');
-
-                // Check if last line looks like an expression (not a declaration/control flow)
-                const isDeclaration = /^(const|let|var|function|class|if|for|while|do|switch|try)\s/.test(lastLine);
-
-                if (!isDeclaration && previousLines) {
-                  // Try executing all but last line, then return last line
-                  try {
-                    result = await eval(`(async () => { ${previousLines}; return (${lastLine}); })()`);
-                  } catch (splitError) {
-                    // If that fails, execute all as statements
-                    result = await eval(`(async () => { ${code} })()`);
-                  }
-                } else {
-                  // Last line is a declaration or no previous lines, execute as-is
-                  result = await eval(`(async () => { ${code} })()`);
-                }
-              } else {
-                result = await eval(`(async () => { ${code} })()`);
-              }
-            } else {
-              // Strategy 2b: Single statement, execute as-is
-              result = await eval(`(async () => { ${code} })()`);
-            }
-          }
+        operationLogger.log('JAVASCRIPT_EXECUTION', {
+          execId,
+          language: compiled.language,
+          warnings: validation.warnings,
+          suggestions: validation.suggestions
+        });
+
+        if (limits) {
+          result = await runWithLimits(store, executionInfo, compiled.code, limits);
+        } else {
+          result = await evaluateCode(compiled.code, execId);
         }
 
         // Save any new global variables back to persistent context
-        const systemProps = new Set([
-          '__filename', '__dirname', 'module', 'exports', 'require',
-          'console', 'process', 'Buffer', 'global', 'setTimeout',
-          'setInterval', 'clearTimeout', 'clearInterval', 'setImmediate',
-          'clearImmediate', 'clear_context', '__toolFunctions',
-          '__callMCPTool', '__workingDirectory', 'navigator', 'window'
-        ]);
-
         for (const key in global) {
-          if (!systemProps.has(key) && key !== 'persistentContext') {
+          if (isContextVariable(key)) {
             try {
+              if (!(key in persistentContext) || persistentContext[key] !== global[key]) {
+                contextWriters.set(key, execId);
+              }
               persistentContext[key] = global[key];
             } catch (e) {
               // Skip properties that can't be serialized
@@ -1220,12 +1514,13 @@ process.on('message', async (msg) => {
           }
         }
 
-        // If the code returns a value, add it to output
-        if (result !== undefined) {
+        // The report keeps the return value out of stdout; the text output ends with it
+        const report = outputFormat === 'json' ? buildReport(store, executionInfo, result) : undefined;
+        if (result !== undefined && !report) {
           console.log(result);
         }
 
-        const output = stopCapture();
+        const output = stopCapture(store) + formatAppliedAliases(executionInfo);
 
         // Clean up execution tracking
         runningExecutions.delete(execId);
@@ -1239,16 +1534,16 @@ process.on('message', async (msg) => {
 
         operationLogger.log('EXECUTE_SUCCESS', { execId });
 
-        process.send({ type: 'EXEC_RESULT', execId, success: true, output });
+        process.send({ type: 'EXEC_RESULT', execId, success: true, output, report });
       } catch (err) {
         // Enhanced error handling
         const errorInfo = await ErrorHandler.handleError(err, {
           execId,
           code: code.substring(0, 200), // Truncate for security
           workingDirectory
-        });
+        }, code, compiled?.language);
 
-        const output = stopCapture();
+        const output = stopCapture(store) + formatAppliedAliases(executionInfo);
 
         // Clean up execution tracking
         runningExecutions.delete(execId);
@@ -1263,18 +1558,38 @@ process.on('message', async (msg) => {
 
         operationLogger.log('EXECUTE_ERROR', { execId, error: errorInfo });
 
+        const limit = err instanceof ResourceLimitError ? { name: err.limit, value: err.value } : undefined;
+        const report = outputFormat === 'json' ? {
+          ...buildReport(store, executionInfo, undefined),
+          error: {
+            name: err?.name,
+            message: errorInfo.message,
+            stack: errorInfo.stack,
+            location: errorInfo.location,
+            codeFrame: errorInfo.codeFrame,
+            suggestions: errorInfo.suggestions
+          },
+          limit
+        } : undefined;
+
         process.send({
           type: 'EXEC_RESULT',
           execId,
           success: false,
-          error: `${output}\nError: ${errorInfo.message}\n${errorInfo.suggestions.length > 0 ? '\nSuggestions:\n' + errorInfo.suggestions.map(s => `- ${s}`).join('\n') : ''}\n${err.stack}`
+          limit,
+          report,
+          error: `${output}\nError: ${errorInfo.message}\n${errorInfo.codeFrame ? `\n${errorInfo.codeFrame}\n` : ''}${errorInfo.suggestions.length > 0 ? '\nSuggestions:\n' + errorInfo.suggestions.map(s => `- ${s}`).join('\n') : ''}\n${errorInfo.stack}`
         });
       }
-    })();
+    });
   } else if (msg.type === 'INIT_TOOLS') {
     operationLogger.log('INIT_TOOLS');
     // Initialize MCP tool functions with enhanced monitoring
     const { toolFunctions } = msg;
+    const globalsBefore = new Set(Object.keys(global));
+    mcpTimeouts = msg.mcpTimeouts || {};
+    mcpToolSchemas = msg.toolSchemas || {};
+    argumentValidators.clear();
 
     // Store tool functions for re-initialization after clear_context
     global.__toolFunctions = toolFunctions;
@@ -1317,25 +1632,27 @@ process.on('message', async (msg) => {
     global.clear_context = () => {
       operationLogger.log('CLEAR_CONTEXT');
 
-      // Kill all running executions first
-      for (const [execId, execution] of runningExecutions.entries()) {
-        execution.killed = true;
-        if (execution.handoverTimer) {
-          clearTimeout(execution.handoverTimer);
-        }
+      // Kill all other running and async executions first
+      const currentExecId = executionStore.getStore()?.execId;
+      for (const execution of [...runningExecutions.values(), ...asyncExecutions.values()]) {
+        if (execution.id !== currentExecId) cancelExecution(execution);
       }
       runningExecutions.clear();
+      asyncExecutions.clear();
 
-      // Kill all async executions
-      for (const [execId, execution] of asyncExecutions.entries()) {
-        execution.killed = true;
+      // Drop resource update callbacks, they reference cleared state - and unsubscribe, so the server isn't
+      // left subscribed (and a lazy server can stop when idle again)
+      for (const { serverName, uri } of resourceSubscriptions.values()) {
+        global.__callMCPMethod(serverName, 'resources/unsubscribe', { uri })
+          .catch((error) => originalConsoleError(`[Resource Subscription] Failed to unsubscribe ${serverName} ${uri}:`, error.message));
       }
-      asyncExecutions.clear();
+      resourceSubscriptions.clear();
 
       // Clear the persistent context
       for (const key of Object.keys(persistentContext)) {
         delete persistentContext[key];
       }
+      contextWriters.clear();
 
       // Preserve system functions and MCP infrastructure in global
       const preserve = new Set([
@@ -1343,8 +1660,9 @@ process.on('message', async (msg) => {
         'console', 'process', 'Buffer', 'global',
         'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval',
         'setImmediate', 'clearImmediate',
-        'clear_context', '__toolFunctions', '__callMCPTool', '__workingDirectory',
-        'kill_execution', 'get_server_state', 'get_async_execution', 'list_async_executions'
+        'clear_context', 'context', 'signal', '__toolFunctions', '__importModule', '__callMCPTool', '__callMCPMethod', '__subscribeMCPResource', '__validateMCPArgs', '__noteAppliedAliases', '__workingDirectory',
+        'kill_execution', 'get_server_state', 'get_async_execution', 'list_async_executions',
+        'ToolError', 'TimeoutError', 'ValidationError'
       ]);
 
       // Clear user variables from global
@@ -1366,6 +1684,9 @@ process.on('message', async (msg) => {
       operationLogger.clear();
     };
 
+    Object.keys(global).filter(key => !globalsBefore.has(key)).forEach(key => sandboxGlobals.add(key));
+    reserveGlobals(sandboxGlobals);
+
     // Log initialization complete
     operationLogger.log('INIT_COMPLETE', {
       toolsCount: Object.keys(toolFunctions).length,
@@ -1388,32 +1709,177 @@ process.on('message', async (msg) => {
   }
 });
 
-// Helper function for MCP tool calls with enhanced monitoring
-global.__callMCPTool = async (serverName, toolName, args) => {
+// Tool calls and written files of an execution, for outputFormat "json"
+// filesWritten comes from the tool result - the built-in tools list every file they wrote
+function noteToolCall(store, serverName, toolName, startedAt, isError, filesWritten = []) {
+  if (!store) return;
+  store.toolCalls.push({ server: serverName, tool: toolName, durationMs: Date.now() - startedAt, isError });
+  for (const file of filesWritten) store.filesTouched.add(file);
+}
+
+// outputFormat "json" result: console output split by stream, the return value kept apart from it
+function buildReport(store, executionInfo, returnValue) {
+  const lines = type => executionInfo.outputHistory.filter(entry => entry.type === type).map(entry => entry.message);
+  return {
+    returnValue: toJSONValue(returnValue),
+    stdout: lines('log'),
+    stderr: lines('error'),
+    warnings: lines('warn'),
+    durationMs: Date.now() - executionInfo.startTime,
+    filesTouched: [...store.filesTouched],
+    toolCalls: store.toolCalls
+  };
+}
+
+// Return values cross to the client as JSON; anything JSON can't represent is sent the way console.log shows it
+function toJSONValue(value) {
+  if (value === undefined) return null;
+  try {
+    return JSON.parse(JSON.stringify(value)) ?? null;
+  } catch (error) {
+    return inspect(value);
+  }
+}
+
+// Helper function for MCP tool calls with enhanced monitoring - resolves to the parent's plain result object
+async function callMCPToolRaw(serverName, toolName, args) {
   const callId = nextCallId++;
+  const serverTimeouts = mcpTimeouts[serverName];
+  const timeoutMs = serverTimeouts
+    ? (serverTimeouts.tools[toolName] ?? serverTimeouts.default) + mcpCallTimeoutGrace
+    : defaultMCPCallTimeout;
 
   operationLogger.log('MCP_CALL_START', { serverName, toolName, callId });
 
-  return new Promise((resolve, reject) => {
-    pendingMCPCalls.set(callId, { resolve, reject });
+  const store = executionStore.getStore();
+  const startedAt = Date.now();
+  const result = await new Promise((resolve, reject) => {
+    const execId = store?.execId;
+    // A killed execution doesn't get to start new calls
+    if (store?.abortController.signal.aborted) {
+      reject(store.abortController.signal.reason);
+      return;
+    }
+    pendingMCPCalls.set(callId, { resolve, reject, execId });
 
     process.send({
       type: 'MCP_CALL',
       callId,
       serverName,
       toolName,
-      args
+      args,
+      execId
     });
 
-    // Timeout of 180 seconds for long-running operations
+    // Backstop in case the parent never answers; normally its own per-tool timeout fires first
     setTimeout(() => {
       if (pendingMCPCalls.has(callId)) {
         pendingMCPCalls.delete(callId);
         operationLogger.log('MCP_CALL_TIMEOUT', { serverName, toolName, callId }, 'error');
-        reject(new Error('MCP call timeout'));
+        reject(new TimeoutError(`MCP call ${serverName}.${toolName} timed out after ${timeoutMs}ms`, `${serverName}.${toolName}`, timeoutMs));
       }
-    }, 180000);
+    }, timeoutMs);
+  }).catch((error) => {
+    noteToolCall(store, serverName, toolName, startedAt, true);
+    throw error;
   });
+
+  noteToolCall(store, serverName, toolName, startedAt, result.isError === true, result.filesWritten);
+  if (result.isError) {
+    operationLogger.log('MCP_CALL_TOOL_ERROR', { serverName, toolName, callId }, 'error');
+    throw new ToolError(result.text || `${serverName}.${toolName} reported an error`, 'TOOL_ERROR', `${serverName}.${toolName}`);
+  }
+
+  return result;
+}
+
+global.__callMCPTool = async (serverName, toolName, args) => toSandboxResult(await callMCPToolRaw(serverName, toolName, args));
+
+// Helper for resource and prompt requests (resources/read, prompts/get, ...) - returns the raw MCP result
+global.__callMCPMethod = async (serverName, method, params) => {
+  const callId = nextCallId++;
+  const serverTimeouts = mcpTimeouts[serverName];
+  const timeoutMs = serverTimeouts ? serverTimeouts.default + mcpCallTimeoutGrace : defaultMCPCallTimeout;
+
+  operationLogger.log('MCP_METHOD_START', { serverName, method, callId });
+
+  return new Promise((resolve, reject) => {
+    const store = executionStore.getStore();
+    const execId = store?.execId;
+    // A killed execution doesn't get to start new calls
+    if (store?.abortController.signal.aborted) {
+      reject(store.abortController.signal.reason);
+      return;
+    }
+    pendingMCPCalls.set(callId, { resolve, reject, execId });
+
+    process.send({
+      type: 'MCP_METHOD',
+      callId,
+      serverName,
+      method,
+      params,
+      execId
+    });
+
+    setTimeout(() => {
+      if (pendingMCPCalls.has(callId)) {
+        pendingMCPCalls.delete(callId);
+        operationLogger.log('MCP_CALL_TIMEOUT', { serverName, method, callId }, 'error');
+        reject(new TimeoutError(`MCP ${method} on ${serverName} timed out after ${timeoutMs}ms`, serverName, timeoutMs));
+      }
+    }, timeoutMs);
+  });
+};
+
+// Records parameter aliases a wrapper applied, reported at the end of the execution's output
+global.__noteAppliedAliases = (serverName, toolName, applied) => {
+  operationLogger.log('PARAM_ALIASES_APPLIED', { serverName, toolName, applied });
+  const execId = executionStore.getStore()?.execId;
+  const execution = runningExecutions.get(execId) || asyncExecutions.get(execId);
+  if (execution) {
+    execution.appliedAliases.add(`${serverName}.${toolName}: ${applied.join(', ')}`);
+  }
+};
+
+function formatAppliedAliases(execution) {
+  if (execution.appliedAliases.size === 0) return '';
+  return `\n[Aliases applied]\n${[...execution.appliedAliases].map(note => `- ${note}`).join('\n')}\n`;
+}
+
+// Checks a generated wrapper's arguments against the tool's inputSchema; returns them with safe coercions applied
+global.__validateMCPArgs = (serverName, toolName, args) => {
+  const qualifiedName = `${serverName}.${toolName}`;
+  let validate = argumentValidators.get(qualifiedName);
+  if (!validate) {
+    const inputSchema = mcpToolSchemas[serverName]?.[toolName];
+    if (!inputSchema) return args;
+    validate = createArgumentValidator(qualifiedName, inputSchema);
+    argumentValidators.set(qualifiedName, validate);
+  }
+  return validate(args);
+};
+
+// Subscribe to resource updates; the server is only asked once per uri, callbacks fan out locally
+global.__subscribeMCPResource = async (serverName, uri, onUpdate) => {
+  if (typeof onUpdate !== 'function') {
+    throw new Error('BRUTAL ERROR: subscribe(uri, onUpdate) requires an onUpdate callback - NO FALLBACKS');
+  }
+
+  const key = `${serverName} ${uri}`;
+  if (!resourceSubscriptions.has(key)) {
+    await global.__callMCPMethod(serverName, 'resources/subscribe', { uri });
+    resourceSubscriptions.set(key, { serverName, uri, callbacks: new Set() });
+  }
+  const subscription = resourceSubscriptions.get(key);
+  subscription.callbacks.add(onUpdate);
+
+  return async () => {
+    // After clear_context() the subscription is already gone
+    if (resourceSubscriptions.get(key) !== subscription || !subscription.callbacks.delete(onUpdate) || subscription.callbacks.size > 0) return;
+    resourceSubscriptions.delete(key);
+    await global.__callMCPMethod(serverName, 'resources/unsubscribe', { uri });
+  };
 };
 
 process.on('SIGINT', () => {
@@ -0,0 +1,186 @@
+// Runs one execute call that has timeoutMs / maxMemoryMb / maxOutputBytes set
+// Lives in a worker thread so the execution worker can terminate it even in a synchronous loop;
+// context values arrive as structured clones and MCP calls are forwarded to the execution worker
+
+import { parentPort, workerData } from 'worker_threads';
+import { createRequire } from 'module';
+import v8 from 'v8';
+import { ToolError, TimeoutError, ValidationError } from './ast-error-handling.js';
+import { createArgumentValidator } from './schema-validation.js';
+import { evaluateCode, importModule, reserveGlobals, formatConsoleArgs, toSandboxResult, serializeError } from './sandbox-runtime.js';
+
+const { code, execId, workingDirectory, context, uncopiedContext, toolFunctions, toolSchemas } = workerData;
+
+global.ToolError = ToolError;
+global.TimeoutError = TimeoutError;
+global.ValidationError = ValidationError;
+
+// Threads can't chdir, so the working directory is fixed for the whole execution
+global.__workingDirectory = workingDirectory;
+global.__dirname = workingDirectory;
+global.__filename = workingDirectory + '/[execute]';
+global.require = createRequire(workingDirectory + '/package.json');
+process.cwd = () => workingDirectory;
+global.__importModule = (specifier, options) => importModule(specifier, workingDirectory, options);
+// Aborted by the execution worker (kill or an exceeded limit) shortly before it terminates this thread
+const abortController = new AbortController();
+global.signal = abortController.signal;
+
+// These need the execution worker's own state, so calling them here fails with a clear error
+const LIMITED = 'executions with timeoutMs, maxMemoryMb or maxOutputBytes';
+const notAvailable = (name) => () => {
+  throw new Error(`BRUTAL ERROR: ${name}() is not available in ${LIMITED} - NO FALLBACKS`);
+};
+global.clear_context = notAvailable('clear_context');
+global.readStdin = notAvailable('readStdin');
+global.context = { list: notAvailable('context.list'), delete: notAvailable('context.delete') };
+
+// Console output is captured by the execution worker
+for (const level of ['log', 'error', 'warn']) {
+  console[level] = (...args) => parentPort.postMessage({ type: 'CONSOLE', level, message: formatConsoleArgs(args) });
+}
+
+const pendingRequests = new Map();
+let nextRequestId = 0;
+
+function rebuildError(info) {
+  let error;
+  if (info.name === 'TimeoutError') {
+    error = new TimeoutError(info.message, info.tool, info.timeoutMs);
+  } else if (info.name === 'ToolError') {
+    error = new ToolError(info.message, info.code, info.tool, info.retryable, info.suggestions);
+  } else {
+    error = new Error(info.message);
+  }
+  if (info.stack) error.stack = info.stack;
+  return error;
+}
+
+function request(kind, payload) {
+  const requestId = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(requestId, { resolve, reject });
+    parentPort.postMessage({ type: 'REQUEST', requestId, kind, payload });
+  });
+}
+
+// Reports a failure even when the error itself can't be serialized
+function fail(error) {
+  let info;
+  try {
+    info = serializeError(error);
+  } catch (serializeFailure) {
+    info = { name: 'Error', message: `Execution failed with an error that can't be reported: ${serializeFailure.message}` };
+  }
+  parentPort.postMessage({ type: 'FAILED', error: info });
+}
+
+parentPort.on('message', (msg) => {
+  try {
+    if (msg.type === 'ABORT') {
+      // Like a kill in the execution worker: abort the signal and fail the MCP calls still waiting
+      abortController.abort(new DOMException(msg.message, 'AbortError'));
+      for (const { reject } of pendingRequests.values()) reject(abortController.signal.reason);
+      pendingRequests.clear();
+      return;
+    }
+    if (msg.type !== 'RESPONSE' || !pendingRequests.has(msg.requestId)) return;
+    const { resolve, reject } = pendingRequests.get(msg.requestId);
+    pendingRequests.delete(msg.requestId);
+    if (msg.error) {
+      reject(rebuildError(msg.error));
+    } else {
+      resolve(msg.result);
+    }
+  } catch (error) {
+    fail(error);
+  }
+});
+
+global.__callMCPTool = async (serverName, toolName, args) =>
+  toSandboxResult(await request('tool', { serverName, toolName, args }));
+
+global.__callMCPMethod = (serverName, method, params) =>
+  request('method', { serverName, method, params });
+
+global.__subscribeMCPResource = async () => {
+  throw new Error('BRUTAL ERROR: Resource subscriptions are not available in executions with timeoutMs, maxMemoryMb or maxOutputBytes - NO FALLBACKS');
+};
+
+global.__noteAppliedAliases = (serverName, toolName, applied) => {
+  parentPort.postMessage({ type: 'ALIASES_APPLIED', serverName, toolName, applied });
+};
+
+const argumentValidators = new Map();
+global.__validateMCPArgs = (serverName, toolName, args) => {
+  const qualifiedName = `${serverName}.${toolName}`;
+  let validate = argumentValidators.get(qualifiedName);
+  if (!validate) {
+    const inputSchema = toolSchemas[serverName]?.[toolName];
+    if (!inputSchema) return args;
+    validate = createArgumentValidator(qualifiedName, inputSchema);
+    argumentValidators.set(qualifiedName, validate);
+  }
+  return validate(args);
+};
+
+if (toolFunctions) {
+  eval(toolFunctions);
+}
+
+const threadGlobals = new Set(Object.keys(global));
+reserveGlobals(threadGlobals);
+Object.assign(global, context);
+
+// Context functions and handles stay in the execution worker; reading one here explains why it's missing
+// instead of a ReferenceError, and assigning the name makes it an ordinary variable of this execution
+const uncopied = new Set(uncopiedContext);
+for (const name of uncopied) {
+  Object.defineProperty(global, name, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      throw new Error(`BRUTAL ERROR: ${name} can't be copied into ${LIMITED} (functions, classes and handles stay in the worker) - NO FALLBACKS`);
+    },
+    set(value) {
+      uncopied.delete(name);
+      Object.defineProperty(global, name, { value, writable: true, configurable: true, enumerable: true });
+    }
+  });
+}
+
+// Variables to merge back into the persistent context; values that can't be cloned are reported by name
+function collectVariables() {
+  const variables = {};
+  const skipped = [];
+  for (const name of Object.keys(global)) {
+    if (threadGlobals.has(name) || uncopied.has(name)) continue;
+    try {
+      v8.serialize(global[name]);
+      variables[name] = global[name];
+    } catch (error) {
+      skipped.push(name);
+    }
+  }
+  const deleted = Object.keys(context).filter(name => !Object.prototype.hasOwnProperty.call(global, name));
+  // New or reassigned variables, for inspect_context's "last written by"
+  const assigned = Object.keys(variables).filter(name => !(name in context) || context[name] !== variables[name]);
+  return { variables, skipped, deleted, assigned };
+}
+
+// The return value goes back to the execution worker, as console.log would show it if it can't be cloned
+function cloneableResult(result) {
+  try {
+    v8.serialize(result);
+    return result;
+  } catch (error) {
+    return formatConsoleArgs([result]);
+  }
+}
+
+try {
+  const result = await evaluateCode(code, execId);
+  parentPort.postMessage({ type: 'DONE', result: cloneableResult(result), ...collectVariables() });
+} catch (error) {
+  fail(error);
+}
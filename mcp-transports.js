@@ -0,0 +1,365 @@
+// Transports used by MCPServerManager to talk JSON-RPC to child and remote MCP servers
+// Every transport exposes the same surface: start(), send(message), close(), onmessage, onclose
+
+import { spawn } from 'child_process';
+import fetch from 'node-fetch';
+
+// Spawns a local MCP server and exchanges newline-delimited JSON over stdio
+export class StdioTransport {
+  constructor(serverName, { command, args, cwd, env }) {
+    this.serverName = serverName;
+    this.command = command;
+    this.args = args;
+    this.cwd = cwd;
+    this.env = env;
+    this.process = null;
+    this.buffer = '';
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  get description() {
+    return `${this.command} ${this.args.join(' ')}`;
+  }
+
+  async start() {
+    try {
+      this.process = spawn(this.command, this.args, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        cwd: this.cwd,
+        env: this.env
+      });
+      console.error(`[MCP Manager]   Process spawned with PID: ${this.process.pid}`);
+    } catch (error) {
+      console.error(`[MCP Manager]   Failed to spawn process:`, error.message);
+      throw error;
+    }
+
+    this.process.stdout.on('data', (data) => {
+      this.buffer += data.toString();
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (line.trim()) {
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch (e) {
+            // Servers sometimes log to stdout - ignore anything that is not JSON-RPC
+            continue;
+          }
+          if (this.onmessage) this.onmessage(message);
+        }
+      }
+    });
+
+    this.process.stderr.on('data', (data) => {
+      console.error(`[MCP Manager] ${this.serverName} stderr:`, data.toString().trim());
+    });
+    this.process.on('error', (err) => console.error(`[MCP Manager] ${this.serverName} error:`, err.message));
+    this.process.on('close', (code, signal) => {
+      if (this.onclose) this.onclose(`code: ${code}, signal: ${signal}`);
+    });
+  }
+
+  send(message) {
+    this.process.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  close() {
+    const proc = this.process;
+    if (!proc) return;
+    try {
+      proc.kill('SIGTERM');
+      setTimeout(() => {
+        if (proc.exitCode === null && proc.signalCode === null) {
+          proc.kill('SIGKILL');
+        }
+      }, 1000);
+    } catch (error) {}
+  }
+}
+
+// Parses a text/event-stream body, calling onEvent({ event, data, id }) for every dispatched event
+async function readEventStream(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: undefined };
+
+  const dispatchLine = (line) => {
+    if (line === '') {
+      if (event.data.length > 0) {
+        onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+      }
+      event = { event: 'message', data: [], id: undefined };
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'event') event.event = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'id') event.id = value;
+  };
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.forEach(dispatchLine);
+  }
+
+  if (buffer) dispatchLine(buffer);
+  dispatchLine('');
+}
+
+function parseMessages(text, serverName, onmessage) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    console.error(`[MCP Manager] ${serverName} sent invalid JSON:`, text.substring(0, 200));
+    return;
+  }
+  for (const message of Array.isArray(payload) ? payload : [payload]) {
+    if (onmessage) onmessage(message);
+  }
+}
+
+const STREAM_REOPEN_DELAY_MS = 1000;
+
+// Streamable HTTP transport: every message is POSTed, responses arrive as JSON or as an SSE stream
+// Messages the server sends on its own (list_changed, resource updates) arrive on a GET stream opened after initialization
+export class StreamableHttpTransport {
+  constructor(serverName, { url, headers }) {
+    this.serverName = serverName;
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.abortController = new AbortController();
+    this.closed = false;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  get description() {
+    return `http ${this.url}`;
+  }
+
+  async start() {
+    // Connection is established lazily by the first POST (the initialize request)
+  }
+
+  async send(message) {
+    if (this.closed) {
+      throw new Error(`MCP server ${this.serverName} transport is closed`);
+    }
+
+    const response = await this.fetch({
+      method: 'POST',
+      headers: {
+        ...this.headers,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {})
+      },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      if (response.status === 404 && this.sessionId) {
+        // Server dropped our session - report it as a close so the manager can reconnect
+        this.handleClose('session expired');
+      }
+      throw new Error(`HTTP ${response.status} from MCP server ${this.serverName}: ${text.substring(0, 200)}`);
+    }
+
+    if (message.method === 'notifications/initialized') {
+      this.openEventStream();
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (response.status === 202 || !contentType) {
+      return;
+    }
+
+    if (contentType.includes('text/event-stream')) {
+      // Don't block the caller - responses are delivered through onmessage as they stream in
+      this.readMessages(response.body).catch((error) => {
+        if (this.closed) return;
+        console.error(`[MCP Manager] ${this.serverName} event stream error:`, error.message);
+        this.handleClose(`connection lost: ${error.message}`);
+      });
+    } else if (contentType.includes('application/json')) {
+      parseMessages(await response.text(), this.serverName, this.onmessage);
+    }
+  }
+
+  // A server that can't be reached is as good as crashed - close so the manager restarts it
+  async fetch(options) {
+    try {
+      return await fetch(this.url, options);
+    } catch (error) {
+      if (!this.closed) this.handleClose(`connection failed: ${error.message}`);
+      throw new Error(`MCP server ${this.serverName} is unreachable: ${error.message}`);
+    }
+  }
+
+  readMessages(body) {
+    return readEventStream(body, ({ event, data }) => {
+      if (event === 'message') parseMessages(data, this.serverName, this.onmessage);
+    });
+  }
+
+  // Standalone GET stream for server-initiated messages; servers without one answer 405
+  // Reopened when the server ends it, until the transport is closed
+  async openEventStream() {
+    if (this.closed) return;
+
+    let response;
+    try {
+      response = await this.fetch({
+        method: 'GET',
+        headers: {
+          ...this.headers,
+          Accept: 'text/event-stream',
+          ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {})
+        },
+        signal: this.abortController.signal
+      });
+    } catch (error) {
+      return;
+    }
+
+    if (!response.ok || !(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      if (response.status !== 405) {
+        console.error(`[MCP Manager] ${this.serverName} did not open an event stream (HTTP ${response.status}) - only responses to requests will be received`);
+      }
+      await response.text().catch(() => {});
+      return;
+    }
+
+    try {
+      await this.readMessages(response.body);
+    } catch (error) {
+      if (this.closed) return;
+      console.error(`[MCP Manager] ${this.serverName} event stream error:`, error.message);
+    }
+    if (this.closed) return;
+    setTimeout(() => this.openEventStream(), STREAM_REOPEN_DELAY_MS).unref();
+  }
+
+  handleClose(reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.abortController.abort();
+    if (this.onclose) this.onclose(reason);
+  }
+
+  close() {
+    if (this.closed) return;
+    if (this.sessionId) {
+      // Best effort: tell the server the session is over
+      fetch(this.url, {
+        method: 'DELETE',
+        headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId }
+      }).catch(() => {});
+    }
+    this.handleClose('closed by client');
+  }
+}
+
+// Legacy HTTP+SSE transport: a long-lived GET stream carries responses, messages are POSTed to the announced endpoint
+export class SseTransport {
+  constructor(serverName, { url, headers }, startTimeoutMs) {
+    this.serverName = serverName;
+    this.url = url;
+    this.headers = headers;
+    this.startTimeoutMs = startTimeoutMs;
+    this.endpoint = null;
+    this.abortController = new AbortController();
+    this.closed = false;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  get description() {
+    return `sse ${this.url}`;
+  }
+
+  async start() {
+    const response = await fetch(this.url, {
+      headers: { ...this.headers, Accept: 'text/event-stream' },
+      signal: this.abortController.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} opening SSE stream for MCP server ${this.serverName}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`MCP server ${this.serverName} did not announce an endpoint within ${this.startTimeoutMs}ms`));
+        this.close();
+      }, this.startTimeoutMs);
+
+      readEventStream(response.body, ({ event, data }) => {
+        if (event === 'endpoint') {
+          this.endpoint = new URL(data, this.url).toString();
+          clearTimeout(timer);
+          resolve();
+        } else if (event === 'message') {
+          parseMessages(data, this.serverName, this.onmessage);
+        }
+      }).then(() => {
+        clearTimeout(timer);
+        reject(new Error(`SSE stream for MCP server ${this.serverName} ended before announcing an endpoint`));
+        this.handleClose('stream ended');
+      }, (error) => {
+        clearTimeout(timer);
+        reject(error);
+        if (!this.closed) console.error(`[MCP Manager] ${this.serverName} event stream error:`, error.message);
+        this.handleClose('stream error');
+      });
+    });
+  }
+
+  async send(message) {
+    if (this.closed || !this.endpoint) {
+      throw new Error(`MCP server ${this.serverName} transport is not connected`);
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: this.abortController.signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status} from MCP server ${this.serverName}: ${text.substring(0, 200)}`);
+    }
+  }
+
+  handleClose(reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.abortController.abort();
+    if (this.onclose) this.onclose(reason);
+  }
+
+  close() {
+    this.handleClose('closed by client');
+  }
+}
@@ -0,0 +1,571 @@
+// Pieces of the execute sandbox shared by the execution worker and the threads that run limited executions
+
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import * as sucrase from 'sucrase';
+import { isBuiltin } from 'module';
+import { existsSync } from 'fs';
+import { dirname, isAbsolute, join, resolve, sep } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Console arguments as captured in execution output
+export function formatConsoleArgs(args) {
+  return args.map(arg =>
+    typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
+  ).join(' ');
+}
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowAwaitOutsideFunction: true,
+  allowReturnOutsideFunction: true,
+  preserveParens: true
+};
+
+// Snippets are scripts unless they use import/export or import.meta; on a real syntax error the
+// parse that got further reports it
+function parseSnippet(code) {
+  try {
+    return acorn.parse(code, { ...PARSE_OPTIONS, sourceType: 'script' });
+  } catch (scriptError) {
+    try {
+      return acorn.parse(code, { ...PARSE_OPTIONS, sourceType: 'module' });
+    } catch (moduleError) {
+      throw moduleError.pos > scriptError.pos ? moduleError : scriptError;
+    }
+  }
+}
+
+// Globals the sandbox provides (tool functions, clear_context, signal, ...); see reserveGlobals()
+const reservedGlobals = new Set();
+
+// Names top-level declarations may not use, on top of the language's and Node's own globals
+export function reserveGlobals(names) {
+  for (const name of names) reservedGlobals.add(name);
+}
+
+// Top-level declarations become assignments to globalThis. On a read-only or getter-only global (crypto,
+// undefined) the assignment would be silently dropped, and on any other built-in (console, process, fetch,
+// tool functions) it would replace the sandbox's own value for every later execution. Context variables are
+// plain enumerable globals, so snippets can still redeclare those.
+function isProtectedGlobal(name) {
+  if (reservedGlobals.has(name)) return true;
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+  if (!descriptor) return false;
+  return !descriptor.enumerable || descriptor.writable === false || (descriptor.get !== undefined && descriptor.set === undefined);
+}
+
+// Identifiers a declaration pattern binds: const { a, b: [c, ...d] = [] } = ... binds a, c and d
+function boundIdentifiers(pattern) {
+  switch (pattern?.type) {
+    case 'Identifier': return [pattern];
+    case 'ObjectPattern': return pattern.properties.flatMap(property => boundIdentifiers(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern': return pattern.elements.flatMap(boundIdentifiers);
+    case 'RestElement': return boundIdentifiers(pattern.argument);
+    case 'AssignmentPattern': return boundIdentifiers(pattern.left);
+    case 'ParenthesizedExpression': return boundIdentifiers(pattern.expression);
+    default: return [];
+  }
+}
+
+// Located like a parser error, so the code frame points at the name
+function protectedNameError(code, identifier, shift) {
+  const loc = acorn.getLineInfo(code, identifier.start - shift);
+  const error = new SyntaxError(`Cannot declare "${identifier.name}" at the top level - it is a built-in global and top-level declarations are stored as globals, use another name (${loc.line}:${loc.column})`);
+  error.pos = identifier.start - shift;
+  error.loc = loc;
+  return error;
+}
+
+// Rewrites a snippet the way the Node REPL handles top-level await: the code runs once inside an async
+// function, top-level declarations become persistent context variables and the last expression is returned.
+// Static imports become __importModule() calls resolved against the working directory, exports become plain
+// declarations, and a default export is the result.
+export function toReplScript(code) {
+  return transformSnippet(code, true).pieces.map(piece => piece.text).join('');
+}
+
+// The script as pieces that remember where they came from: copied snippet text (at = its offset), text the
+// transform inserted (at = the offset it stands in for) and the wrapper around the snippet (at = null).
+// Offsets are into the snippet shifted by shift characters. checkNames: reject declarations of protected globals.
+function transformSnippet(snippet, checkNames) {
+  let code = snippet;
+  let shift = 0;
+  // A snippet that is a single object literal would otherwise parse as a block
+  if (/^\s*\{/.test(code) && !/;\s*$/.test(code)) {
+    try {
+      acorn.parse(`(${code})`, { ecmaVersion: 'latest' });
+      code = `(${code})`;
+      shift = 1;
+    } catch (error) {
+      // A real block statement
+    }
+  }
+
+  const program = parseSnippet(code);
+
+  const copy = (start, end) => ({ text: code.slice(start, end), at: start, copied: true });
+  const insert = (text, at) => ({ text, at, copied: false });
+
+  // Module syntax anywhere in the code; these ranges never overlap
+  const inner = [];
+  walk.simple(program, {
+    ImportExpression(node) {
+      inner.push({ start: node.start, end: node.start + 'import'.length, text: '__importModule' });
+    },
+    MetaProperty(node) {
+      if (node.meta.name === 'import') {
+        inner.push({ start: node.start, end: node.end, text: "({ url: require('url').pathToFileURL(__filename).href, filename: __filename, dirname: __dirname })" });
+      }
+    }
+  });
+  inner.sort((a, b) => a.start - b.start);
+
+  const rewrite = (start, end) => {
+    const pieces = [];
+    let position = start;
+    for (const edit of inner) {
+      if (edit.start < start || edit.end > end) continue;
+      pieces.push(copy(position, edit.start), insert(edit.text, edit.start));
+      position = edit.end;
+    }
+    pieces.push(copy(position, end));
+    return pieces;
+  };
+  const source = node => rewrite(node.start, node.end);
+
+  const hoistedFunctions = [];
+  let hasDefaultExport = false;
+
+  const load = (statement) => {
+    const pieces = [insert('await __importModule(', statement.start), ...source(statement.source)];
+    const attributes = statement.attributes || [];
+    if (attributes.length > 0) {
+      pieces.push(insert(', { with: { ', statement.source.end));
+      attributes.forEach((attribute, index) => {
+        if (index > 0) pieces.push(insert(', ', attribute.start));
+        pieces.push(...source(attribute.key), insert(': ', attribute.value.start), ...source(attribute.value));
+      });
+      pieces.push(insert(' } }', statement.source.end));
+    }
+    pieces.push(insert(')', statement.source.end));
+    return pieces;
+  };
+
+  const check = (identifiers) => {
+    if (!checkNames) return;
+    for (const identifier of identifiers) {
+      if (isProtectedGlobal(identifier.name)) throw protectedNameError(snippet, identifier, shift);
+    }
+  };
+
+  const declaration = (node) => {
+    check(node.type === 'VariableDeclaration' ? node.declarations.flatMap(declarator => boundIdentifiers(declarator.id)) : [node.id]);
+    if (node.type === 'VariableDeclaration') {
+      // "const a = 1, b" -> "void (a = 1, b = undefined);" - the declarators themselves are kept as written.
+      // "var b" keeps the value b already has, as redeclaring a var does in the REPL
+      const pieces = [insert('void (', node.start)];
+      let position = node.declarations[0].start;
+      for (const declarator of node.declarations) {
+        pieces.push(...rewrite(position, declarator.end));
+        if (!declarator.init) {
+          pieces.push(insert(node.kind === 'var' ? ` = globalThis.${declarator.id.name}` : ' = undefined', declarator.end));
+        }
+        position = declarator.end;
+      }
+      pieces.push(insert(');', position));
+      return pieces;
+    }
+    if (node.type === 'ClassDeclaration') {
+      return [insert(`${node.id.name} = `, node.start), ...source(node), insert(';', node.end)];
+    }
+    // Functions stay declarations so they are still hoisted within the snippet, and are published before any other code runs
+    hoistedFunctions.push(node.id.name);
+    return source(node);
+  };
+
+  const importBindings = (statement) => {
+    check(statement.specifiers.map(specifier => specifier.local));
+    const at = statement.start;
+    const namespace = statement.specifiers.find(specifier => specifier.type === 'ImportNamespaceSpecifier');
+    const defaultImport = statement.specifiers.find(specifier => specifier.type === 'ImportDefaultSpecifier');
+    if (statement.specifiers.length === 0) {
+      return [...load(statement), insert(';', statement.end)];
+    }
+    if (namespace) {
+      const alsoDefault = defaultImport ? `, ${defaultImport.local.name} = ${namespace.local.name}.default` : '';
+      return [insert(`void (${namespace.local.name} = `, at), ...load(statement), insert(`${alsoDefault});`, statement.end)];
+    }
+    const properties = statement.specifiers.map(specifier => {
+      if (specifier.type === 'ImportDefaultSpecifier') return `default: ${specifier.local.name}`;
+      const imported = specifier.imported.type === 'Literal' ? specifier.imported.raw : specifier.imported.name;
+      return `${imported}: ${specifier.local.name}`;
+    });
+    return [insert(`void ({ ${properties.join(', ')} } = `, at), ...load(statement), insert(');', statement.end)];
+  };
+
+  const transform = (statement) => {
+    switch (statement.type) {
+      case 'VariableDeclaration':
+      case 'ClassDeclaration':
+      case 'FunctionDeclaration':
+        return declaration(statement);
+      case 'ImportDeclaration':
+        return importBindings(statement);
+      case 'ExportNamedDeclaration':
+        if (statement.declaration) return declaration(statement.declaration);
+        // Re-exports only load the module; plain export lists name bindings that already persist
+        return statement.source ? [...load(statement), insert(';', statement.end)] : [insert(';', statement.start)];
+      case 'ExportAllDeclaration':
+        return [...load(statement), insert(';', statement.end)];
+      case 'ExportDefaultDeclaration': {
+        hasDefaultExport = true;
+        const exported = statement.declaration;
+        if ((exported.type === 'FunctionDeclaration' || exported.type === 'ClassDeclaration') && exported.id) {
+          return [...declaration(exported), insert(` __defaultExport = ${exported.id.name};`, statement.end)];
+        }
+        return [insert('__defaultExport = (', exported.start), ...source(exported), insert(');', exported.end)];
+      }
+      default:
+        return null;
+    }
+  };
+
+  const edits = [];
+  for (const statement of program.body) {
+    const pieces = transform(statement);
+    if (pieces !== null) edits.push({ start: statement.start, end: statement.end, pieces });
+  }
+
+  const last = program.body[program.body.length - 1];
+  if (last?.type === 'ExpressionStatement' && !hasDefaultExport) {
+    const { start, end } = last.expression;
+    edits.push({ start, end, pieces: [insert('return (', start), ...source(last.expression), insert(')', end)] });
+  }
+
+  const body = [];
+  let position = 0;
+  for (const edit of edits) {
+    body.push(...rewrite(position, edit.start), ...edit.pieces);
+    position = edit.end;
+  }
+  body.push(...rewrite(position, code.length));
+
+  // The prelude is a line of its own and the edits never add or remove a line break, so the snippet keeps its
+  // own lines; columns are mapped back through the pieces (snippetPositions)
+  const prologue = (hasDefaultExport ? 'let __defaultExport; ' : '') +
+    hoistedFunctions.map(name => `globalThis.${name} = ${name};`).join(' ');
+  const epilogue = hasDefaultExport ? '\nreturn __defaultExport;' : '';
+  const pieces = [
+    { text: `(async () => {${prologue}\n`, at: null },
+    ...body,
+    { text: `${epilogue}\n})()`, at: null }
+  ];
+  return { pieces, shift };
+}
+
+// Lets import.meta.resolve() take a parent URL; code-mode.js starts the execution worker with it
+export const IMPORT_META_RESOLVE_FLAG = '--experimental-import-meta-resolve';
+
+// Loads a module the way a static import in a file inside fromDirectory would: relative paths resolve against
+// fromDirectory and packages are looked up in its node_modules with the ESM conditions (import, node, default).
+// Modules are cached like any import.
+export async function importModule(specifier, fromDirectory, options) {
+  if (isBuiltin(specifier) || /^(node|file|data):/.test(specifier)) {
+    return import(specifier, options);
+  }
+  if (!specifier.startsWith('./') && !specifier.startsWith('../') && !isAbsolute(specifier)) {
+    // Without the flag, import.meta.resolve ignores the parent and would resolve from this file's directory
+    if (!process.execArgv.includes(IMPORT_META_RESOLVE_FLAG) && !process.env.NODE_OPTIONS?.includes(IMPORT_META_RESOLVE_FLAG)) {
+      throw new Error(`BRUTAL ERROR: Importing packages needs node ${IMPORT_META_RESOLVE_FLAG} - NO FALLBACKS`);
+    }
+    const resolved = import.meta.resolve(specifier, pathToFileURL(join(fromDirectory, '[execute].mjs')).href);
+    return import(resolved, options);
+  }
+
+  // A query or hash (./lib.mjs?v=2) loads a fresh copy of the file; every copy stays in the module cache for good
+  const [, path, suffix] = specifier.match(/^([^?#]*)(.*)$/);
+  const resolved = resolve(fromDirectory, path);
+  if (!existsSync(resolved)) {
+    const error = new Error(`Cannot find module '${specifier}' from ${fromDirectory}`);
+    error.code = 'ERR_MODULE_NOT_FOUND';
+    throw error;
+  }
+  return import(pathToFileURL(resolved).href + suffix, options);
+}
+
+const TYPE_STRIPPING_TRANSFORMS = {
+  typescript: ['typescript'],
+  tsx: ['typescript', 'jsx']
+};
+
+// Removes TypeScript syntax (and compiles JSX to React.createElement for tsx) without moving code between
+// lines, so line numbers in errors still match the snippet as written
+export function stripTypes(code, language) {
+  return stripTypesMapped(code, language).code;
+}
+
+// stripTypes() plus toSnippet({ line, column }), mapping a 1-based position in the output back to the snippet -
+// removed annotations shift columns
+function stripTypesMapped(code, language) {
+  const result = sucrase.transform(code, {
+    transforms: TYPE_STRIPPING_TRANSFORMS[language],
+    disableESTransforms: true,
+    // Imports only used as types still load, the REPL keeps their bindings for later snippets
+    keepUnusedImports: true,
+    production: true,
+    filePath: 'snippet.ts',
+    sourceMapOptions: { compiledFilename: 'snippet.js' }
+  });
+  const lines = decodeMappings(result.sourceMap.mappings);
+  const toSnippet = ({ line, column }) => {
+    const segment = (lines[line - 1] || []).findLast(([generatedColumn]) => generatedColumn <= column - 1);
+    if (!segment) return { line, column };
+    const [generatedColumn, sourceLine, sourceColumn] = segment;
+    return { line: sourceLine + 1, column: sourceColumn + column - generatedColumn };
+  };
+  return { code: result.code, toSnippet };
+}
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Source map mappings -> for each generated line, its segments as [generatedColumn, sourceLine, sourceColumn] (0-based)
+function decodeMappings(mappings) {
+  let sourceLine = 0;
+  let sourceColumn = 0;
+  return mappings.split(';').map(lineMappings => {
+    const segments = [];
+    let generatedColumn = 0;
+    for (const segment of lineMappings.split(',').filter(Boolean)) {
+      const values = [];
+      let value = 0;
+      let bits = 0;
+      for (const char of segment) {
+        const digit = BASE64_DIGITS.indexOf(char);
+        value += (digit & 31) << bits;
+        if (digit & 32) {
+          bits += 5;
+        } else {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          bits = 0;
+        }
+      }
+      generatedColumn += values[0];
+      if (values.length < 4) continue;
+      sourceLine += values[2];
+      sourceColumn += values[3];
+      segments.push([generatedColumn, sourceLine, sourceColumn]);
+    }
+    return segments;
+  });
+}
+
+// Validates the stripped code, reporting parse errors at their position in the snippet
+function compileTypeScript(code, language) {
+  const stripped = stripTypesMapped(code, language);
+  try {
+    toReplScript(stripped.code);
+  } catch (error) {
+    if (error.loc) {
+      const { line, column } = stripped.toSnippet({ line: error.loc.line, column: error.loc.column + 1 });
+      error.loc = { line, column: column - 1 };
+      error.message = error.message.replace(/\(\d+:\d+\)$/, `(${line}:${column - 1})`);
+    }
+    throw error;
+  }
+  return { code: stripped.code, language };
+}
+
+// Turns a snippet into JavaScript; returns { code, language }
+// Without a language, plain JavaScript is tried first, then TypeScript, then TSX. If none of them parse,
+// the error that got furthest into the snippet is reported.
+export function compileSnippet(code, language) {
+  if (language === 'typescript' || language === 'tsx') {
+    return compileTypeScript(code, language);
+  }
+
+  try {
+    toReplScript(code);
+    return { code, language: 'javascript' };
+  } catch (javascriptError) {
+    if (language === 'javascript') throw javascriptError;
+
+    let furthest = javascriptError;
+    for (const candidate of ['typescript', 'tsx']) {
+      try {
+        return compileTypeScript(code, candidate);
+      } catch (error) {
+        if (error.loc && (!furthest.loc || error.loc.line > furthest.loc.line ||
+            (error.loc.line === furthest.loc.line && error.loc.column > furthest.loc.column))) {
+          furthest = error;
+        }
+      }
+    }
+    throw furthest;
+  }
+}
+
+// Runs a snippet exactly once in the global scope (sloppy mode, so bare assignments create context variables)
+// Stack frames name it execute-<execId>.js; cleanStack() maps them back to the snippet
+export async function evaluateCode(code, execId) {
+  const script = `${toReplScript(code)}\n//# sourceURL=${snippetFileName(execId)}`;
+  return await (0, eval)(script);
+}
+
+const RUNTIME_DIRECTORY = dirname(fileURLToPath(import.meta.url));
+const RUNTIME_URL = pathToFileURL(RUNTIME_DIRECTORY).href;
+const CODE_FRAME_CONTEXT_LINES = 2;
+
+export function snippetFileName(execId) {
+  return `execute-${execId}.js`;
+}
+
+// Frames from the worker, this runtime, its dependencies and Node internals mean nothing to the snippet's author
+function isInternalFrame(frame) {
+  return frame.includes(RUNTIME_DIRECTORY + sep) || frame.includes(RUNTIME_URL + '/') ||
+    /\(node:|at node:|at eval \(<anonymous>\)/.test(frame);
+}
+
+function snippetLocationPattern(execId) {
+  return new RegExp(`${snippetFileName(execId).replace('.', '\\.')}:(\\d+):(\\d+)`);
+}
+
+function lineStarts(text) {
+  const starts = [0];
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    starts.push(index + 1);
+  }
+  return starts;
+}
+
+// Maps a 1-based { line, column } in the script evaluateCode() runs back to the snippet as written, or to
+// null inside the wrapper around it. language is the one compileSnippet() detected.
+export function snippetPositions(code, language) {
+  const stripped = language === 'typescript' || language === 'tsx' ? stripTypesMapped(code, language) : null;
+  const javascript = stripped ? stripped.code : code;
+  const { pieces, shift } = transformSnippet(javascript, false);
+
+  const spans = [];
+  let length = 0;
+  for (const piece of pieces) {
+    if (piece.text) spans.push({ offset: length, piece });
+    length += piece.text.length;
+  }
+  const scriptLines = lineStarts(pieces.map(piece => piece.text).join(''));
+  const codeLines = lineStarts(javascript);
+
+  return ({ line, column }) => {
+    if (line < 1 || line > scriptLines.length) return null;
+    const offset = scriptLines[line - 1] + column - 1;
+    const span = spans.findLast(candidate => candidate.offset <= offset);
+    if (!span || span.piece.at === null) return null;
+
+    // Copied text maps character for character, inserted text to the position it replaced
+    const position = span.piece.at - shift + (span.piece.copied ? offset - span.offset : 0);
+    const original = Math.min(Math.max(position, 0), javascript.length);
+    const index = codeLines.findLastIndex(start => start <= original);
+    const location = { line: index + 1, column: original - codeLines[index] + 1 };
+    return stripped ? stripped.toSnippet(location) : location;
+  };
+}
+
+// error.stack with internal frames removed and the snippet's frames pointing at the code as written
+// Frames in the wrapper around the snippet are dropped too, so a snippet's own frames and its modules' remain
+export function cleanStack(stack, execId, code, language) {
+  if (!stack) return stack;
+  const fileName = snippetFileName(execId);
+  const location = snippetLocationPattern(execId);
+
+  const lines = stack.split('\n');
+  const firstFrame = lines.findIndex(line => /^\s+at /.test(line));
+  if (firstFrame === -1) return stack;
+
+  let toSnippet;
+  const frames = [];
+  for (const frame of lines.slice(firstFrame)) {
+    const match = frame.match(location);
+    if (match) {
+      toSnippet ??= snippetPositions(code, language);
+      const position = toSnippet({ line: Number(match[1]), column: Number(match[2]) });
+      if (!position) continue;
+      // "at eval (execute-3.js:2:7)" is top-level snippet code
+      frames.push(frame.replace(`eval (${match[0]})`, match[0]).replace(location, `${fileName}:${position.line}:${position.column}`));
+    } else if (!isInternalFrame(frame)) {
+      frames.push(frame);
+    }
+  }
+  return [...lines.slice(0, firstFrame), ...frames].join('\n');
+}
+
+// { line, column } (both 1-based) in the snippet where error was thrown, from its stack or a parser's loc
+export function locateError(error, execId, code, language) {
+  const match = cleanStack(error?.stack, execId, code, language)?.match(snippetLocationPattern(execId));
+  if (match) return { line: Number(match[1]), column: Number(match[2]) };
+  if (error?.loc) return { line: error.loc.line, column: error.loc.column + 1 };
+  return null;
+}
+
+// The snippet around location with the failing line marked and a caret under the column
+export function codeFrame(code, { line, column }) {
+  const lines = code.split('\n');
+  const first = Math.max(1, line - CODE_FRAME_CONTEXT_LINES);
+  const last = Math.min(lines.length, line + CODE_FRAME_CONTEXT_LINES);
+  const width = String(last).length;
+
+  const frame = [];
+  for (let number = first; number <= last; number++) {
+    const marker = number === line ? '>' : ' ';
+    frame.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+    if (number === line) {
+      // Tabs stay tabs so the caret lines up with the code above it
+      const indent = lines[number - 1].slice(0, column - 1).replace(/[^\t]/g, ' ');
+      frame.push(`  ${' '.repeat(width)} | ${indent}^`);
+    }
+  }
+  return frame.join('\n');
+}
+
+// Shape a rich MCP result for user code: plain text stays a string so existing code keeps working,
+// anything with images, audio, resources or structured content becomes an object whose toString() is the text
+export function toSandboxResult(result) {
+  const hasRichContent = result.images.length > 0 || result.audio.length > 0 ||
+    result.resources.length > 0 || result.structuredContent !== undefined;
+
+  if (!hasRichContent) {
+    return result.text;
+  }
+
+  const toFile = ({ mimeType, path, data }) => ({ mimeType, path, buffer: Buffer.from(data, 'base64') });
+
+  return {
+    text: result.text,
+    images: result.images.map(toFile),
+    audio: result.audio.map(toFile),
+    resources: result.resources,
+    structuredContent: result.structuredContent,
+    toString() {
+      return this.text;
+    },
+    // Keep console.log output readable - files are listed by path, not by their bytes
+    toJSON() {
+      const withoutBuffer = ({ mimeType, path }) => ({ mimeType, path });
+      return { ...this, images: this.images.map(withoutBuffer), audio: this.audio.map(withoutBuffer) };
+    }
+  };
+}
+
+// Error details that can cross a thread or process boundary
+export function serializeError(error) {
+  return {
+    name: error?.name,
+    message: error?.message ?? String(error),
+    stack: error?.stack,
+    code: error?.code,
+    tool: error?.tool,
+    timeoutMs: error?.timeoutMs,
+    retryable: error?.retryable,
+    suggestions: error?.suggestions,
+    issues: error?.issues
+  };
+}
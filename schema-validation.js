@@ -0,0 +1,177 @@
+// Validates MCP tool arguments against the tool's JSON Schema inside the execute worker
+// The JSON Schema is translated to zod once per tool; only lossless coercions are applied ("5" -> 5, "true" -> true)
+
+import { z } from 'zod';
+import { ValidationError } from './ast-error-handling.js';
+
+const NUMERIC = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+function coerceNumber(value) {
+  return typeof value === 'string' && NUMERIC.test(value.trim()) ? Number(value) : value;
+}
+
+function coerceBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function coerceString(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+}
+
+function unionOf(schemas) {
+  return schemas.length === 1 ? schemas[0] : z.union(schemas);
+}
+
+function literalSchema(value, coerce) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    // Enum members are matched after coercion, so "2" still selects the literal 2
+    return coerce && typeof value === 'number' ? z.preprocess(coerceNumber, z.literal(value)) : z.literal(value);
+  }
+  const expected = JSON.stringify(value);
+  return z.any().refine(actual => JSON.stringify(actual) === expected, { message: `Expected ${expected}` });
+}
+
+function stringSchema(schema, coerce) {
+  let result = z.string();
+  if (schema.minLength !== undefined) result = result.min(schema.minLength);
+  if (schema.maxLength !== undefined) result = result.max(schema.maxLength);
+  if (schema.pattern) {
+    try {
+      result = result.regex(new RegExp(schema.pattern, 'u'));
+    } catch (error) {
+      // ECMA-262 can't express every JSON Schema pattern - leave those to the server
+    }
+  }
+  return coerce ? z.preprocess(coerceString, result) : result;
+}
+
+function numberSchema(schema, coerce) {
+  let result = z.number();
+  if (schema.type === 'integer') result = result.int();
+  if (schema.minimum !== undefined) result = result.min(schema.minimum);
+  if (schema.maximum !== undefined) result = result.max(schema.maximum);
+  if (typeof schema.exclusiveMinimum === 'number') result = result.gt(schema.exclusiveMinimum);
+  if (typeof schema.exclusiveMaximum === 'number') result = result.lt(schema.exclusiveMaximum);
+  return coerce ? z.preprocess(coerceNumber, result) : result;
+}
+
+function arraySchema(schema, coerce) {
+  if (Array.isArray(schema.items)) {
+    return z.tuple(schema.items.map(item => toZod(item, false, coerce)));
+  }
+  let result = z.array(schema.items ? toZod(schema.items, false, coerce) : z.any());
+  if (schema.minItems !== undefined) result = result.min(schema.minItems);
+  if (schema.maxItems !== undefined) result = result.max(schema.maxItems);
+  return result;
+}
+
+// Unknown keys are rejected at the top level (typos in tool arguments) and wherever the schema forbids them
+function objectSchema(schema, topLevel, coerce) {
+  const required = schema.required || [];
+  const shape = {};
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const propertySchema = toZod(property, false, coerce);
+    shape[name] = required.includes(name) ? propertySchema : propertySchema.optional();
+  }
+
+  const result = z.object(shape);
+  const extra = schema.additionalProperties;
+  if (extra && typeof extra === 'object') return result.catchall(toZod(extra, false, coerce));
+  if (extra === false || (topLevel && extra === undefined)) return result.strict();
+  return result.passthrough();
+}
+
+// Alternatives are tried exactly first, so coercion never overrides a value that already matches one of them
+function alternatives(variants, topLevel, coerce) {
+  const exact = variants.map(variant => toZod(variant, topLevel, false));
+  return unionOf(coerce ? [...exact, ...variants.map(variant => toZod(variant, topLevel, true))] : exact);
+}
+
+function toZod(schema, topLevel = false, coerce = true) {
+  if (!schema || typeof schema !== 'object') return z.any();
+
+  let result;
+  if (schema.const !== undefined) {
+    result = literalSchema(schema.const, coerce);
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    result = unionOf(schema.enum.map(value => literalSchema(value, coerce)));
+  } else if (Array.isArray(schema.anyOf || schema.oneOf)) {
+    result = alternatives(schema.anyOf || schema.oneOf, false, coerce);
+  } else if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    result = schema.allOf.map(part => toZod(part, false, coerce)).reduce((left, right) => z.intersection(left, right));
+  } else if (Array.isArray(schema.type)) {
+    result = alternatives(schema.type.map(type => ({ ...schema, type })), topLevel, coerce);
+  } else {
+    switch (schema.type) {
+      case 'string': result = stringSchema(schema, coerce); break;
+      case 'number':
+      case 'integer': result = numberSchema(schema, coerce); break;
+      case 'boolean': result = coerce ? z.preprocess(coerceBoolean, z.boolean()) : z.boolean(); break;
+      case 'null': result = z.null(); break;
+      case 'array': result = arraySchema(schema, coerce); break;
+      case 'object': result = objectSchema(schema, topLevel, coerce); break;
+      default: result = schema.properties ? objectSchema(schema, topLevel, coerce) : z.any();
+    }
+  }
+
+  return schema.nullable === true ? result.nullable() : result;
+}
+
+function formatPath(path) {
+  if (path.length === 0) return 'arguments';
+  return path.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key, '');
+}
+
+function describeIssue(issue) {
+  const path = formatPath(issue.path);
+  switch (issue.code) {
+    case 'invalid_type':
+      return issue.received === 'undefined'
+        ? `${path}: missing required parameter (expected ${issue.expected})`
+        : `${path}: expected ${issue.expected}, received ${issue.received}`;
+    case 'invalid_literal':
+      return `${path}: expected ${JSON.stringify(issue.expected)}, received ${JSON.stringify(issue.received)}`;
+    case 'invalid_union': {
+      // Enums become unions of literals - report the allowed values rather than every branch
+      const literals = issue.unionErrors.flatMap(error => error.issues)
+        .filter(inner => inner.code === 'invalid_literal' && inner.path.length === issue.path.length);
+      if (literals.length === issue.unionErrors.length) {
+        return `${path}: expected one of ${literals.map(inner => JSON.stringify(inner.expected)).join(', ')}`;
+      }
+      const typeIssues = issue.unionErrors.flatMap(error => error.issues)
+        .filter(inner => inner.code === 'invalid_type' && inner.path.length === issue.path.length);
+      return typeIssues.length > 0
+        ? `${path}: expected ${[...new Set(typeIssues.map(inner => inner.expected))].join(' | ')}, received ${typeIssues[0].received}`
+        : `${path}: does not match any allowed shape`;
+    }
+    case 'unrecognized_keys':
+      return `${path}: unknown parameter(s) ${issue.keys.map(key => `'${key}'`).join(', ')}`;
+    default:
+      return `${path}: ${issue.message}`;
+  }
+}
+
+// Builds a validator for one tool; returns the coerced arguments or throws ValidationError
+export function createArgumentValidator(qualifiedName, inputSchema) {
+  const schema = toZod({ ...inputSchema, type: 'object' }, true);
+  const required = inputSchema.required || [];
+
+  return (args) => {
+    // null/undefined optional params mean "not given", matching positional calls
+    const given = {};
+    for (const [key, value] of Object.entries(args)) {
+      if ((value === null || value === undefined) && !required.includes(key)) continue;
+      given[key] = value;
+    }
+
+    const result = schema.safeParse(given);
+    if (result.success) return result.data;
+
+    const problems = result.error.issues.map(describeIssue);
+    const error = new ValidationError(`Invalid arguments for ${qualifiedName}: ${problems.join('; ')}`, qualifiedName);
+    error.issues = result.error.issues.map(issue => ({ path: formatPath(issue.path), message: describeIssue(issue) }));
+    throw error;
+  };
+}
@@ -0,0 +1,39 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { startCodemode, waitFor } from './support/codemode.js';
+
+test('an execution handed over to async mode keeps its own cwd, require scope and output', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} }, { env: { CODEMODE_ASYNC_HANDOVER_MS: '200' } });
+  t.after(codemode.close);
+  for (const name of ['one', 'two']) {
+    mkdirSync(join(codemode.dir, name));
+    writeFileSync(join(codemode.dir, name, 'which.js'), `module.exports = '${name}';`);
+  }
+
+  const first = await codemode.run(`
+    console.log('one started');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    console.log('one finished in', process.cwd(), require('./which.js'), require('path').resolve('x'));
+  `, { workingDirectory: join(codemode.dir, 'one') });
+  assert.equal(first.async, true);
+  assert.match(first.output, /one started/);
+
+  // Starts while the first one is still waiting
+  const second = await codemode.run(`
+    console.log('two ran');
+    [process.cwd(), require('./which.js')]
+  `, { workingDirectory: join(codemode.dir, 'two') });
+  assert.deepEqual(second.returnValue, [join(codemode.dir, 'two'), 'two']);
+  assert.deepEqual(second.stdout, ['two ran']);
+
+  const log = await waitFor(async () => {
+    const { content } = await codemode.call({ action: 'get_async_log', executionId: String(first.executionId) });
+    return content[0].text.includes('one finished') && content[0].text;
+  });
+  assert.ok(log.includes(`one finished in ${join(codemode.dir, 'one')} one ${join(codemode.dir, 'one', 'x')}`));
+  assert.doesNotMatch(log, /two ran/);
+});
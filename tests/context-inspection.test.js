@@ -0,0 +1,31 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+test('context.list() and inspect_context show user variables with type, size and writer', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  await codemode.evaluate(`const rows = Array.from({ length: 100 }, (_, i) => ({ id: i, name: 'row ' + i }))`);
+  await codemode.evaluate(`const seen = new Set(['a', 'b']); let label = 'x'`);
+
+  const listed = await codemode.evaluate(`context.list()`);
+  // Tool namespaces and built-in globals aren't user variables
+  assert.deepEqual(listed.map(variable => variable.name).sort(), ['label', 'rows', 'seen']);
+  const byName = Object.fromEntries(listed.map(variable => [variable.name, variable]));
+  assert.equal(byName.rows.type, 'Array(100)');
+  assert.equal(byName.seen.type, 'Set(2)');
+  assert.ok(byName.rows.size > byName.seen.size);
+  assert.ok(byName.rows.sizeComplete);
+  assert.equal(byName.seen.lastWrittenBy, byName.label.lastWrittenBy);
+  assert.notEqual(byName.rows.lastWrittenBy, byName.seen.lastWrittenBy);
+
+  const { content } = await codemode.call({ action: 'inspect_context' });
+  assert.match(content[0].text, /^Persistent context \(3 variable\(s\), ~[\d.]+ KB\):/);
+  assert.match(content[0].text, new RegExp(`- rows: Array\\(100\\), ~[\\d.]+ KB, last written by execution ${byName.rows.lastWrittenBy}`));
+
+  assert.deepEqual(await codemode.evaluate(`[context.delete('rows'), context.delete('stub'), context.delete('missing')]`), [true, false, false]);
+  assert.deepEqual(await codemode.evaluate(`[typeof rows, typeof stub, label]`), ['undefined', 'object', 'x']);
+});
@@ -0,0 +1,49 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { startCodemode, scratchDirectory } from './support/codemode.js';
+
+const action = async (codemode, name, args = {}) => (await codemode.call({ action: name, ...args })).content[0].text;
+
+test('save_context writes clone-able values, reports the rest, and load_context brings them back', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+
+  await codemode.evaluate(`
+    const rows = new Map([['a', { n: 1 }]]);
+    const when = new Date(0);
+    const format = (row) => row.n;
+  `);
+  const saved = await action(codemode, 'save_context');
+  assert.match(saved, new RegExp(`^Saved 2 value\\(s\\) to ${join(codemode.dir, '.codemode', 'context', 'default.v8')}`));
+  assert.match(saved, /- rows\n- when/);
+  assert.match(saved, /Not saved \(not structured-clone-able\):\n- format: /);
+
+  await codemode.evaluate(`clear_context()`);
+  assert.equal(await codemode.evaluate(`typeof rows`), 'undefined');
+
+  assert.match(await action(codemode, 'load_context'), /^Loaded 2 value\(s\) saved at .*:\n- rows\n- when/);
+  assert.deepEqual(await codemode.evaluate(`[rows.get('a').n, when instanceof Date, when.getTime(), typeof format]`), [1, true, 0, 'undefined']);
+
+  // Named sessions have their own snapshot file
+  await codemode.evaluate(`const mine = 1`, { sessionId: 'side' });
+  await action(codemode, 'save_context', { sessionId: 'side' });
+  assert.ok(existsSync(join(codemode.dir, '.codemode', 'context', 'session-side.v8')));
+});
+
+test('autoRestoreContext loads the last snapshot when codemode starts again', async (t) => {
+  const dir = scratchDirectory();
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const first = await startCodemode({ mcpServers: {} }, { dir });
+  await first.evaluate(`const total = 42`);
+  await action(first, 'save_context');
+  await first.close();
+
+  const second = await startCodemode({ autoRestoreContext: true, mcpServers: {} }, { dir });
+  t.after(second.close);
+  assert.equal(await second.evaluate(`total`), 42);
+});
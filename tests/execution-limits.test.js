@@ -0,0 +1,64 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { startCodemode, waitFor } from './support/codemode.js';
+
+test('timeoutMs stops a synchronous loop, aborts the signal and leaves the worker usable', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+  await codemode.evaluate(`const kept = 'still here'`);
+
+  const looped = await codemode.run(`while (true) {}`, { timeoutMs: 300 });
+  assert.equal(looped.error.name, 'ResourceLimitError');
+  assert.deepEqual(looped.limit, { name: 'timeoutMs', value: 300 });
+
+  const waiting = await codemode.run(`
+    signal.addEventListener('abort', () => require('fs').writeFileSync('aborted.txt', signal.reason.message));
+    await new Promise(() => {});
+  `, { timeoutMs: 300 });
+  assert.deepEqual(waiting.limit, { name: 'timeoutMs', value: 300 });
+  const marker = join(codemode.dir, 'aborted.txt');
+  await waitFor(() => existsSync(marker));
+  assert.equal(readFileSync(marker, 'utf8'), 'Execution exceeded timeoutMs (300ms)');
+
+  assert.equal(await codemode.evaluate(`kept`), 'still here');
+});
+
+test('maxOutputBytes keeps the output up to the limit', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+
+  const report = await codemode.run(`for (let i = 0; ; i++) console.log('line ' + i)`, { maxOutputBytes: 16 });
+  assert.deepEqual(report.limit, { name: 'maxOutputBytes', value: 16 });
+  assert.deepEqual(report.stdout, ['line 0', 'line 1', 'li']);
+});
+
+test('worker-only functions and uncopyable context values fail with a clear error in limited executions', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+  await codemode.evaluate(`function helper() { return 1 }; const rows = [1, 2]`);
+
+  const cleared = await codemode.run(`clear_context()`, { timeoutMs: 5000 });
+  assert.match(cleared.error.message, /clear_context\(\) is not available in executions with timeoutMs, maxMemoryMb or maxOutputBytes/);
+  const listed = await codemode.run(`context.list()`, { timeoutMs: 5000 });
+  assert.match(listed.error.message, /context\.list\(\) is not available/);
+
+  const called = await codemode.run(`helper()`, { timeoutMs: 5000 });
+  assert.match(called.error.message, /helper can't be copied into executions with timeoutMs/);
+
+  // Copied values work and changes come back; the name of an uncopied value can be reused
+  assert.deepEqual(await codemode.evaluate(`rows.push(3); const helper = 'now a string'; [rows.length, helper]`, { timeoutMs: 5000 }), [3, 'now a string']);
+  assert.deepEqual(await codemode.evaluate(`[rows, helper]`), [[1, 2, 3], 'now a string']);
+});
+
+test('a result that can\'t be cloned comes back as console.log would show it', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+
+  const report = await codemode.run(`({ run: () => 1, n: 2 })`, { timeoutMs: 5000 });
+  assert.equal(report.error, undefined);
+  assert.equal(report.returnValue, '{\n  "n": 2\n}');
+});
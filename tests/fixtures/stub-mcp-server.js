@@ -0,0 +1,121 @@
+// Stdio MCP server used by the tests - every tool exercises one part of the protocol
+// With STUB_LOG set, every message received (and the process exit) is appended to that file as a JSON line
+
+import readline from 'readline';
+import { appendFileSync } from 'fs';
+
+const log = (entry) => {
+  if (process.env.STUB_LOG) appendFileSync(process.env.STUB_LOG, JSON.stringify({ pid: process.pid, ...entry }) + '\n');
+};
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+const reply = (id, result) => send({ jsonrpc: '2.0', id, result });
+const text = (id, value) => reply(id, { content: [{ type: 'text', text: value }] });
+
+const noArgs = { type: 'object', properties: {} };
+const tools = [
+  { name: 'echo', description: 'Echo the arguments', inputSchema: { type: 'object', properties: { text: { type: 'string' }, count: { type: 'number' }, mode: { type: 'string', enum: ['a', 'b'] } }, required: ['text'] } },
+  { name: 'crash', description: 'Exit the server process', inputSchema: noArgs },
+  { name: 'slow', description: 'Answer after ms milliseconds', inputSchema: { type: 'object', properties: { ms: { type: 'number' } } } },
+  { name: 'env', description: 'Report an environment variable and the cwd', inputSchema: { type: 'object', properties: { name: { type: 'string' } } } },
+  { name: 'rich', description: 'Return text, an image and structured content', inputSchema: noArgs },
+  { name: 'fail', description: 'Return a result with isError', inputSchema: noArgs },
+  { name: 'delete_all', description: 'A destructive tool', inputSchema: noArgs },
+  { name: 'progress', description: 'Report progress before answering', inputSchema: noArgs },
+  { name: 'roots', description: 'Ask the client for its roots', inputSchema: noArgs },
+  { name: 'add_tool', description: 'Add a tool and announce tools/list_changed', inputSchema: noArgs },
+  { name: 'add_resource', description: 'Add a resource and announce resources/list_changed', inputSchema: noArgs }
+];
+const resources = [{ uri: 'mem://a', name: 'A', description: 'thing a' }];
+
+// Requests this server sent to the client, by id
+let nextClientRequestId = 1000;
+const clientRequests = new Map();
+
+function callTool(id, name, args = {}, progressToken) {
+  switch (name) {
+    case 'crash':
+      process.exit(1);
+    case 'slow':
+      return setTimeout(() => text(id, 'slow done'), args.ms ?? 1000);
+    case 'env':
+      return text(id, `${process.env[args.name]} cwd=${process.cwd()}`);
+    case 'rich':
+      return reply(id, {
+        content: [
+          { type: 'text', text: 'one' },
+          { type: 'text', text: 'two' },
+          { type: 'image', data: Buffer.from('png').toString('base64'), mimeType: 'image/png' }
+        ],
+        structuredContent: { ok: 1 }
+      });
+    case 'fail':
+      return reply(id, { content: [{ type: 'text', text: 'it broke' }], isError: true });
+    case 'progress':
+      send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress: 1, total: 2, message: 'half way' } });
+      return setTimeout(() => text(id, 'progress done'), 100);
+    case 'roots': {
+      const requestId = nextClientRequestId++;
+      clientRequests.set(requestId, (response) => text(id, JSON.stringify(response.result ?? response.error)));
+      return send({ jsonrpc: '2.0', id: requestId, method: 'roots/list' });
+    }
+    case 'add_tool':
+      tools.push({ name: 'added', description: 'Added at runtime', inputSchema: noArgs });
+      text(id, 'added');
+      return send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+    case 'add_resource':
+      resources.push({ uri: 'mem://b', name: 'B', description: 'thing b' });
+      text(id, 'added');
+      return send({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+    default:
+      return text(id, `${name}:${JSON.stringify(args)} pid=${process.pid}`);
+  }
+}
+
+const rl = readline.createInterface({ input: process.stdin });
+rl.on('line', (line) => {
+  const message = JSON.parse(line);
+  if (message.method) log({ method: message.method, ...(message.params?.uri ? { uri: message.params.uri } : {}) });
+
+  if (message.method === undefined) {
+    clientRequests.get(message.id)?.(message);
+    clientRequests.delete(message.id);
+    return;
+  }
+  if (message.id === undefined) return;
+
+  const { id, method, params = {} } = message;
+  switch (method) {
+    case 'initialize':
+      return reply(id, {
+        protocolVersion: '2024-11-05',
+        capabilities: { tools: { listChanged: true }, resources: { subscribe: true, listChanged: true }, prompts: {} },
+        serverInfo: { name: 'stub', version: '1.0.0' }
+      });
+    case 'tools/list':
+      return reply(id, { tools });
+    case 'tools/call':
+      return callTool(id, params.name, params.arguments, params._meta?.progressToken);
+    case 'resources/list':
+      return reply(id, { resources });
+    case 'resources/templates/list':
+      return reply(id, { resourceTemplates: [] });
+    case 'resources/read':
+      return reply(id, { contents: [{ uri: params.uri, text: `content of ${params.uri}` }] });
+    case 'resources/subscribe':
+      reply(id, {});
+      return setTimeout(() => send({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: params.uri } }), 50);
+    case 'resources/unsubscribe':
+      return reply(id, {});
+    case 'prompts/list':
+      return reply(id, { prompts: [{ name: 'greet', description: 'Greeting', arguments: [{ name: 'who', required: true }] }] });
+    case 'prompts/get':
+      return reply(id, { messages: [{ role: 'user', content: { type: 'text', text: `hello ${params.arguments.who}` } }] });
+    default:
+      return send({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+});
+
+process.on('SIGTERM', () => {
+  log({ event: 'exit' });
+  process.exit(0);
+});
@@ -0,0 +1,58 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+const BUILT_IN_TOOLS = fileURLToPath(new URL('../built-in-tools-mcp.js', import.meta.url));
+
+test('outputFormat json separates the return value, console streams and tool calls', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const report = await codemode.run(`
+    console.log('first', { n: 1 });
+    console.error('oops');
+    console.warn('careful');
+    await stub.echo({ text: 'hi' });
+    try { await stub.fail(); } catch (error) {}
+    ({ count: 3, big: 1n })
+  `);
+  assert.deepEqual(report.stdout, ['first {\n  "n": 1\n}']);
+  assert.deepEqual(report.stderr, ['oops']);
+  assert.deepEqual(report.warnings, ['careful']);
+  assert.equal(typeof report.durationMs, 'number');
+  assert.deepEqual(report.toolCalls.map(({ server, tool, isError }) => ({ server, tool, isError })), [
+    { server: 'stub', tool: 'echo', isError: false },
+    { server: 'stub', tool: 'fail', isError: true }
+  ]);
+  // BigInt can't be JSON, so the value comes as it would be printed
+  assert.equal(report.returnValue, '{ count: 3, big: 1n }');
+  assert.equal(report.error, undefined);
+
+  const { content, structuredContent } = await codemode.call({ code: `null.x`, outputFormat: 'json' });
+  assert.equal(structuredContent.error.name, 'TypeError');
+  assert.deepEqual(JSON.parse(content[0].text), structuredContent);
+});
+
+test('filesTouched lists the files the built-in tools wrote, whatever the server is called', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { files: { command: process.execPath, args: [BUILT_IN_TOOLS] } } });
+  t.after(codemode.close);
+  const edited = join(codemode.dir, 'edited.js');
+  const previewed = join(codemode.dir, 'previewed.js');
+  writeFileSync(edited, 'const a = 1;\n');
+  writeFileSync(previewed, 'const a = 1;\n');
+
+  const report = await codemode.run(`
+    await files.Edit({ file_path: ${JSON.stringify(edited)}, old_string: 'a = 1', new_string: 'a = 2' });
+    await files.ASTReplace({ path: ${JSON.stringify(previewed)}, pattern: 'const a = 1', replacement: 'const b = 1', language: 'javascript', dryRun: true });
+    await files.LS({ path: ${JSON.stringify(codemode.dir)} });
+  `);
+  assert.equal(report.error, undefined);
+  assert.equal(readFileSync(edited, 'utf8'), 'const a = 2;\n');
+  assert.deepEqual(report.filesTouched, [edited]);
+  assert.deepEqual(report.toolCalls.map(call => [call.tool, call.isError]), [['Edit', false], ['ASTReplace', false], ['LS', false]]);
+});
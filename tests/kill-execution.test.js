@@ -0,0 +1,75 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { startCodemode, stubServerConfig, sleep, waitFor } from './support/codemode.js';
+
+test('kill aborts the signal, fails pending MCP calls and stops child processes', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const running = codemode.run(`
+    signal.addEventListener('abort', () => require('fs').writeFileSync('aborted.txt', signal.reason.name));
+    const child = require('child_process').spawn('sleep', ['30']);
+    require('fs').writeFileSync('child.pid', String(child.pid));
+    await stub.slow({ ms: 30000 });
+  `);
+  await waitFor(() => existsSync(join(codemode.dir, 'child.pid')));
+  await sleep(200);
+
+  const { content } = await codemode.call({ action: 'kill' });
+  assert.match(content[0].text, /^Kill request sent for execution: all \(1 running\)/);
+
+  const report = await running;
+  assert.equal(report.error.name, 'AbortError');
+  assert.equal(report.error.message, 'Execution 0 was killed');
+  assert.deepEqual(report.toolCalls.map(call => [call.tool, call.isError]), [['slow', true]]);
+  assert.equal(readFileSync(join(codemode.dir, 'aborted.txt'), 'utf8'), 'AbortError');
+  const childPid = Number(readFileSync(join(codemode.dir, 'child.pid'), 'utf8'));
+  await waitFor(() => {
+    try {
+      process.kill(childPid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  });
+  assert.equal(await codemode.evaluate(`1 + 1`), 2);
+});
+
+test('code that ignores the kill gets its worker replaced, keeping the context', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+  await codemode.evaluate(`const kept = [1, 2]`);
+  const pid = await codemode.evaluate(`process.pid`);
+
+  // Waits forever without looking at signal, but leaves the worker free to hand over the context
+  const running = codemode.run(`await new Promise(() => {})`);
+  await sleep(300);
+  await codemode.call({ action: 'kill' });
+  const report = await running;
+  assert.match(report.error.message, /the worker was replaced because execution \d+ did not stop within 5000ms of being killed/);
+
+  // Executions sent while the replacement starts wait for it
+  assert.deepEqual(await codemode.evaluate(`[process.pid !== ${pid}, kept]`), [true, [1, 2]]);
+  assert.match(codemode.stderr, /Carried 1 context value\(s\) over to the new worker/);
+});
+
+test('MCP results for a worker that exited are dropped instead of reaching its replacement', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const lost = await codemode.run(`
+    stub.slow({ ms: 1500 });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    process.exit(3);
+  `);
+  assert.match(lost.error.message, /Execution worker exited with code 3/);
+
+  // The replacement numbers its MCP calls from 0 again, so a misrouted result would answer this call early
+  const elapsed = await codemode.evaluate(`const started = Date.now(); await stub.slow({ ms: 2500 }); Date.now() - started`);
+  assert.ok(elapsed >= 2400, `the call returned after ${elapsed}ms`);
+  assert.equal(codemode.child.exitCode, null);
+});
@@ -0,0 +1,159 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { startCodemode, stubServerConfig, scratchDirectory, readStubLog, sleep, waitFor, STUB_SERVER } from './support/codemode.js';
+
+test('a crashed server is restarted and its in-flight call fails with a clear error', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const before = await codemode.evaluate(`await stub.echo({ text: 'hi' })`);
+  const crashed = await codemode.run(`await stub.crash()`);
+  assert.match(crashed.error.message, /MCP server stub crashed and is being restarted/);
+
+  // Calls made while the server is down wait for the restart instead of failing with "not found"
+  const after = await codemode.evaluate(`await stub.echo({ text: 'hi' })`);
+  assert.match(codemode.stderr, /✓ stub restarted/);
+  assert.notEqual(after.match(/pid=(\d+)/)[1], before.match(/pid=(\d+)/)[1]);
+});
+
+test('toolTimeouts override the server timeout and surface as TimeoutError', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig({ timeoutMs: 5000, toolTimeouts: { slow: 200 } }) } });
+  t.after(codemode.close);
+
+  const report = await codemode.run(`await stub.slow({ ms: 2000 })`);
+  assert.equal(report.error.name, 'TimeoutError');
+  assert.match(report.error.message, /tools\/call to stub\.slow timed out after 200ms/);
+
+  // The server's own timeout still applies to its other tools
+  assert.match(await codemode.evaluate(`await stub.echo({ text: 'hi' })`), /^echo:/);
+});
+
+test('servers get the config env and cwd, with ${VAR} interpolated in args and env', async (t) => {
+  const dir = scratchDirectory();
+  mkdirSync(join(dir, 'server-home'));
+
+  const codemode = await startCodemode({
+    mcpServers: {
+      stub: { command: process.execPath, args: ['${CODEMODE_TEST_STUB}'], cwd: 'server-home', env: { STUB_TOKEN: 'token-${CODEMODE_TEST_SECRET}' } }
+    }
+  }, { dir, env: { CODEMODE_TEST_STUB: STUB_SERVER, CODEMODE_TEST_SECRET: 's3cret' } });
+  t.after(async () => {
+    await codemode.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  assert.equal(await codemode.evaluate(`await stub.env({ name: 'STUB_TOKEN' })`), `token-s3cret cwd=${join(dir, 'server-home')}`);
+  // The inherited environment is still there
+  assert.match(await codemode.evaluate(`await stub.env({ name: 'CODEMODE_TEST_SECRET' })`), /^s3cret /);
+});
+
+test('tool results keep every content item, images, structured content and isError', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const rich = await codemode.evaluate(`
+    const rich = await stub.rich();
+    ({ text: rich.text, image: rich.images[0].mimeType, saved: require('fs').readFileSync(rich.images[0].path, 'utf8'), structured: rich.structuredContent })
+  `);
+  assert.deepEqual(rich, { text: 'one\ntwo', image: 'image/png', saved: 'png', structured: { ok: 1 } });
+
+  // Plain text results stay strings
+  assert.equal(typeof await codemode.evaluate(`await stub.echo({ text: 'hi' })`), 'string');
+
+  const failure = await codemode.run(`await stub.fail()`);
+  assert.equal(failure.error.name, 'ToolError');
+  assert.equal(failure.error.message, 'it broke');
+});
+
+test('list_changed notifications refresh the sandbox and roots/list is answered with the working directory', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  assert.equal(await codemode.evaluate(`typeof stub.added`), 'undefined');
+  await codemode.evaluate(`await stub.add_tool()`);
+  await waitFor(() => codemode.stderr.includes('Refreshing worker tools after tools/list_changed of stub'));
+  assert.equal(await codemode.evaluate(`typeof stub.added`), 'function');
+
+  await codemode.evaluate(`await stub.add_resource()`);
+  await waitFor(async () => (await codemode.description()).includes('mem://b (B): thing b'));
+
+  const roots = JSON.parse(await codemode.evaluate(`await stub.roots()`));
+  assert.deepEqual(roots.roots.map(root => root.uri), [pathToFileURL(codemode.dir).href]);
+});
+
+test('resources and prompts are reachable from the sandbox and listed in the description', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const description = await codemode.description();
+  assert.match(description, /stub\.\$resources\.list\(\) \/ \.templates\(\) \/ \.read\(uri\) \/ \.subscribe\(uri, onUpdate\)/);
+  assert.match(description, /mem:\/\/a \(A\): thing a/);
+  assert.match(description, /stub\.\$prompts\.get\('greet', \{ who \}\): Greeting/);
+
+  const result = await codemode.evaluate(`
+    const listed = await stub.$resources.list();
+    const { contents } = await stub.$resources.read('mem://a');
+    const { messages } = await stub.$prompts.get('greet', { who: 'you' });
+    const updated = await new Promise(resolve => stub.$resources.subscribe('mem://a', resolve));
+    ({ uris: listed.resources.map(resource => resource.uri), text: contents[0].text, prompt: messages[0].content.text, updated })
+  `);
+  assert.deepEqual(result, { uris: ['mem://a'], text: 'content of mem://a', prompt: 'hello you', updated: 'mem://a' });
+});
+
+test('lazy servers start on first use from the cached manifest and stop when idle', async (t) => {
+  const dir = scratchDirectory();
+  const stubLog = join(dir, 'stub.log');
+  const config = { mcpServers: { stub: stubServerConfig({ lazy: true, idleTimeoutMs: 300 }) } };
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  // Without a cached manifest the server is started once to discover its tools
+  const first = await startCodemode(config, { dir, env: { STUB_LOG: stubLog } });
+  await first.close();
+  assert.equal(readStubLog(stubLog).filter(entry => entry.method === 'initialize').length, 1);
+
+  const codemode = await startCodemode(config, { dir, env: { STUB_LOG: stubLog } });
+  t.after(codemode.close);
+  assert.equal(readStubLog(stubLog).filter(entry => entry.method === 'initialize').length, 1);
+  assert.equal(await codemode.evaluate(`typeof stub.echo`), 'function');
+
+  assert.match(await codemode.evaluate(`await stub.echo({ text: 'hi' })`), /^echo:/);
+  const started = readStubLog(stubLog).filter(entry => entry.method === 'initialize');
+  assert.equal(started.length, 2);
+
+  await waitFor(() => readStubLog(stubLog).some(entry => entry.event === 'exit' && entry.pid === started[1].pid));
+  assert.match(codemode.stderr, /Stopping stub after 300ms idle/);
+});
+
+test('a resource subscription keeps its server up until every session has let go of it', async (t) => {
+  const dir = scratchDirectory();
+  const stubLog = join(dir, 'stub.log');
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig({ idleTimeoutMs: 300 }) } }, { dir, env: { STUB_LOG: stubLog } });
+  t.after(async () => {
+    await codemode.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const sessionId of ['a', 'b']) {
+    await codemode.evaluate(`const unsubscribe = await stub.$resources.subscribe('mem://a', () => {})`, { sessionId });
+  }
+  // The server may have idled out while the sessions started - follow the process that holds the subscription
+  const subscribed = readStubLog(stubLog).filter(entry => entry.method === 'resources/subscribe');
+  assert.equal(subscribed.length, 1);
+  const methods = () => readStubLog(stubLog).filter(entry => entry.pid === subscribed[0].pid).map(entry => entry.event ?? entry.method);
+
+  // One session leaving doesn't end the subscription, and the server outlives its idle timeout
+  await codemode.evaluate(`await unsubscribe()`, { sessionId: 'a' });
+  await sleep(800);
+  assert.ok(!methods().includes('resources/unsubscribe'));
+  assert.ok(!methods().includes('exit'));
+
+  // clear_context() in the last session unsubscribes, then the server idles out
+  await codemode.evaluate(`clear_context()`, { sessionId: 'b' });
+  await waitFor(() => methods().includes('exit'));
+  assert.deepEqual(methods().slice(-3), ['resources/subscribe', 'resources/unsubscribe', 'exit']);
+});
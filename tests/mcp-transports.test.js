@@ -0,0 +1,215 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { StreamableHttpTransport, SseTransport } from '../mcp-transports.js';
+
+// Stub MCP server: handler(req, res, message) answers each request, requests are recorded with their session header
+async function startStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const message = body ? JSON.parse(body) : undefined;
+      requests.push({ method: req.method, url: req.url, sessionId: req.headers['mcp-session-id'], message });
+      handler(req, res, message);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const stop = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { url, requests, stop };
+}
+
+function nextMessage(transport) {
+  return new Promise((resolve) => { transport.onmessage = resolve; });
+}
+
+const reply = (message) => JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { echo: message.method } });
+
+test('streamable HTTP delivers JSON and SSE responses and round-trips the session id', async (t) => {
+  const stub = await startStub((req, res, message) => {
+    if (req.method === 'DELETE') {
+      res.writeHead(200);
+      return res.end();
+    }
+    if (req.method === 'GET') {
+      // No standalone event stream on this server
+      res.writeHead(405);
+      return res.end();
+    }
+    if (message.id === undefined) {
+      res.writeHead(202);
+      return res.end();
+    }
+    if (message.method === 'initialize') {
+      res.writeHead(200, { 'content-type': 'application/json', 'mcp-session-id': 'session-1' });
+      return res.end(reply(message));
+    }
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    res.end(`: keep-alive\n\nevent: message\ndata: ${reply(message)}\n\n`);
+  });
+  t.after(stub.stop);
+
+  const transport = new StreamableHttpTransport('stub', { url: `${stub.url}/mcp`, headers: { Authorization: 'Bearer t' } });
+  await transport.start();
+
+  let received = nextMessage(transport);
+  await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  assert.deepEqual(await received, { jsonrpc: '2.0', id: 1, result: { echo: 'initialize' } });
+  assert.equal(transport.sessionId, 'session-1');
+
+  await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+  received = nextMessage(transport);
+  await transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  assert.deepEqual(await received, { jsonrpc: '2.0', id: 2, result: { echo: 'tools/list' } });
+
+  const posts = stub.requests.filter(request => request.method === 'POST');
+  assert.deepEqual(posts.map(request => request.sessionId), [undefined, 'session-1', 'session-1']);
+  assert.equal(stub.requests.find(request => request.method === 'GET').sessionId, 'session-1');
+
+  transport.close();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(stub.requests.at(-1), { method: 'DELETE', url: '/mcp', sessionId: 'session-1', message: undefined });
+});
+
+test('streamable HTTP reports an expired session as a close so the manager reconnects', async (t) => {
+  let session = 0;
+  const live = new Set();
+  const stub = await startStub((req, res, message) => {
+    if (message.method === 'initialize') {
+      const sessionId = `session-${++session}`;
+      live.add(sessionId);
+      res.writeHead(200, { 'content-type': 'application/json', 'mcp-session-id': sessionId });
+      return res.end(reply(message));
+    }
+    if (!live.has(req.headers['mcp-session-id'])) {
+      res.writeHead(404);
+      return res.end('Session not found');
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(reply(message));
+  });
+  t.after(stub.stop);
+
+  const connect = async () => {
+    const transport = new StreamableHttpTransport('stub', { url: stub.url, headers: {} });
+    await transport.start();
+    const received = nextMessage(transport);
+    await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    await received;
+    return transport;
+  };
+
+  const first = await connect();
+  const closed = new Promise((resolve) => { first.onclose = resolve; });
+  live.clear();
+
+  await assert.rejects(first.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' }), /HTTP 404 from MCP server stub: Session not found/);
+  assert.equal(await closed, 'session expired');
+  await assert.rejects(first.send({ jsonrpc: '2.0', id: 3, method: 'tools/list' }), /transport is closed/);
+
+  // The reconnect starts without the stale session and gets a new one
+  const second = await connect();
+  assert.equal(second.sessionId, 'session-2');
+  assert.equal(stub.requests.at(-1).sessionId, undefined);
+  const received = nextMessage(second);
+  await second.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  assert.deepEqual(await received, { jsonrpc: '2.0', id: 2, result: { echo: 'tools/list' } });
+  second.handleClose('test done');
+});
+
+test('legacy SSE posts to the announced endpoint and reads responses from the stream', async (t) => {
+  let stream = null;
+  const stub = await startStub((req, res, message) => {
+    if (req.method === 'GET') {
+      stream = res;
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      return res.write('event: endpoint\ndata: /messages?session=abc\n\n');
+    }
+    res.writeHead(202);
+    res.end();
+    if (message.id !== undefined) stream.write(`event: message\ndata: ${reply(message)}\n\n`);
+  });
+  t.after(stub.stop);
+
+  const transport = new SseTransport('stub', { url: `${stub.url}/sse`, headers: {} }, 1000);
+  await transport.start();
+  assert.equal(transport.endpoint, `${stub.url}/messages?session=abc`);
+
+  const received = nextMessage(transport);
+  await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  assert.deepEqual(await received, { jsonrpc: '2.0', id: 1, result: { echo: 'initialize' } });
+  assert.equal(stub.requests.at(-1).url, '/messages?session=abc');
+  transport.close();
+});
+
+test('legacy SSE gives up when no endpoint is announced in time', async (t) => {
+  const stub = await startStub((req, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    res.write(': waiting\n\n');
+  });
+  t.after(stub.stop);
+
+  const transport = new SseTransport('stub', { url: `${stub.url}/sse`, headers: {} }, 100);
+  const closed = new Promise((resolve) => { transport.onclose = resolve; });
+  await assert.rejects(transport.start(), /MCP server stub did not announce an endpoint within 100ms/);
+  assert.equal(await closed, 'closed by client');
+  await assert.rejects(transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize' }), /transport is not connected/);
+});
+
+test('streamable HTTP receives server-initiated messages on the GET stream and reopens it', async (t) => {
+  let streams = 0;
+  const stub = await startStub((req, res, message) => {
+    if (req.method === 'GET') {
+      streams++;
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      // The first stream is ended by the server after one notification
+      res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed', params: { stream: streams } })}\n\n`);
+      if (streams === 1) res.end();
+      return;
+    }
+    if (message.method === 'initialize') {
+      res.writeHead(200, { 'content-type': 'application/json', 'mcp-session-id': 'session-1' });
+      return res.end(reply(message));
+    }
+    res.writeHead(202);
+    res.end();
+  });
+  t.after(stub.stop);
+
+  const transport = new StreamableHttpTransport('stub', { url: stub.url, headers: {} });
+  const received = [];
+  transport.onmessage = (message) => received.push(message);
+  await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+  await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+  const deadline = Date.now() + 5000;
+  while (received.length < 3 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  transport.handleClose('test done');
+
+  assert.deepEqual(received.map(message => message.params?.stream ?? message.id), [1, 1, 2]);
+  assert.deepEqual(stub.requests.filter(request => request.method === 'GET').map(request => request.sessionId), ['session-1', 'session-1']);
+});
+
+test('streamable HTTP closes the transport when the server is unreachable', async () => {
+  // A port nothing listens on any more
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+
+  const transport = new StreamableHttpTransport('stub', { url: `http://127.0.0.1:${port}/mcp`, headers: {} });
+  const closed = new Promise((resolve) => { transport.onclose = resolve; });
+  await assert.rejects(transport.send({ jsonrpc: '2.0', id: 1, method: 'tools/list' }), /MCP server stub is unreachable: .*ECONNREFUSED/);
+  assert.match(await closed, /^connection failed: .*ECONNREFUSED/);
+  await assert.rejects(transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' }), /transport is closed/);
+});
@@ -0,0 +1,40 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+test('operations are logged out of band and read back with get_operation_log', async (t) => {
+  const codemode = await startCodemode({
+    operationLogFile: '.codemode/operations.jsonl',
+    mcpServers: { stub: stubServerConfig() }
+  });
+  t.after(codemode.close);
+
+  const { content } = await codemode.call({ code: `console.log('only this'); await stub.echo({ text: 'hi' }); 'done'` });
+  assert.doesNotMatch(content[0].text, /Operation Logger|EXECUTE_START|MCP_CALL_START/);
+  assert.deepEqual((await codemode.run(`console.log('again')`)).stdout, ['again']);
+  await codemode.run(`try { await stub.fail() } catch (error) {}`);
+
+  const log = async (filter) => (await codemode.call({ action: 'get_operation_log', outputFormat: 'json', ...filter })).structuredContent.operations;
+
+  const calls = await log({ operation: 'MCP_CALL_START' });
+  assert.deepEqual(calls.map(entry => entry.details.toolName), ['echo', 'fail']);
+
+  const errors = await log({ level: 'error' });
+  assert.deepEqual(errors.map(entry => [entry.operation, entry.details.toolName]), [['MCP_CALL_TOOL_ERROR', 'fail']]);
+  assert.deepEqual(await log({ since: new Date(Date.now() + 60000).toISOString() }), []);
+
+  const text = (await codemode.call({ action: 'get_operation_log', operation: 'MCP_CALL_TOOL_ERROR' })).content[0].text;
+  assert.match(text, /^Operation log \(1 entries\):\n\n\[.+\] ERROR MCP_CALL_TOOL_ERROR \{"serverName":"stub","toolName":"fail"/);
+
+  const rejected = await codemode.call({ action: 'get_operation_log', level: 'loud' });
+  assert.equal(rejected.isError, true);
+  assert.match(rejected.content[0].text, /level must be one of info, warn, error, got "loud"/);
+
+  // The JSONL file has the same entries
+  const written = readFileSync(join(codemode.dir, '.codemode', 'operations.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(written.some(entry => entry.operation === 'MCP_CALL_TOOL_ERROR' && entry.details.toolName === 'fail'));
+});
@@ -0,0 +1,31 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+test('per-server and per-tool alias rules are applied, reported and checked for conflicts', async (t) => {
+  const codemode = await startCodemode({
+    paramAliases: { text: ['content'] },
+    mcpServers: {
+      stub: stubServerConfig({
+        paramAliases: { count: ['n'] },
+        // 'count' is one of echo's own parameters, so it can't be an alias of 'text'
+        toolParamAliases: { echo: { text: ['message', 'count'] } }
+      })
+    }
+  });
+  t.after(codemode.close);
+
+  assert.match(await codemode.evaluate(`await stub.echo({ message: 'hi', n: '2' })`), /^echo:\{"text":"hi","count":2\} /);
+  const { content } = await codemode.call({ code: `await stub.echo({ message: 'hi', n: 2 })` });
+  assert.match(content[0].text, /\[Aliases applied\]\n- stub\.echo: message -> text, n -> count\n/);
+
+  // The tool rule replaces the top-level one for 'text'
+  const replaced = await codemode.run(`await stub.echo({ text: 'hi', content: 'x' })`);
+  assert.equal(replaced.error.name, 'ValidationError');
+  assert.match(replaced.error.message, /unknown parameter\(s\) 'content'/);
+
+  assert.match(codemode.stderr, /Alias conflict in stub\.echo: 'count' -> 'text' ignored: echo declares 'count' itself/);
+  assert.doesNotMatch((await codemode.call({ code: `await stub.echo({ text: 'hi' })` })).content[0].text, /Aliases applied/);
+});
@@ -0,0 +1,137 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { cleanStack, codeFrame, compileSnippet, evaluateCode, importModule, locateError, reserveGlobals, toReplScript } from '../sandbox-runtime.js';
+
+reserveGlobals(['Read', 'clear_context']);
+
+test('top-level declarations persist as globals', async () => {
+  await evaluateCode('const replConst = 1; let replLet; var replVar = replConst + 1;', 1);
+  assert.equal(globalThis.replConst, 1);
+  assert.equal(globalThis.replLet, undefined);
+  assert.equal(globalThis.replVar, 2);
+
+  // Redeclaring a context variable in a later snippet is allowed
+  assert.equal(await evaluateCode('const replConst = 3; replConst', 2), 3);
+
+  // A var without initializer keeps the persisted value, let resets it; a fresh one starts out undefined
+  await evaluateCode('let replLet = 1; var replVar;', 3);
+  assert.deepEqual(await evaluateCode('var replVar, replFreshVar; let replLet; [replVar, replLet, replFreshVar]', 4), [2, undefined, undefined]);
+  assert.ok('replFreshVar' in globalThis);
+});
+
+test('destructuring declarations bind every name in the pattern', async () => {
+  await evaluateCode('const { replA, replB: [replC, ...replRest] = [], replD = 4 } = { replA: 1, replB: [2, 3] };', 1);
+  assert.deepEqual([globalThis.replA, globalThis.replC, globalThis.replRest, globalThis.replD], [1, 2, [3], 4]);
+});
+
+test('classes and functions persist, and functions are hoisted', async () => {
+  const result = await evaluateCode('const replEarly = replDouble(2); function replDouble(n) { return n * 2; } class ReplPoint { constructor(x) { this.x = x; } } replEarly', 1);
+  assert.equal(result, 4);
+  assert.equal(globalThis.replDouble(5), 10);
+  assert.equal(new globalThis.ReplPoint(7).x, 7);
+});
+
+test('the last expression is the result', async () => {
+  assert.equal(await evaluateCode('const replValue = 20;\nreplValue + 1', 1), 21);
+  assert.equal(await evaluateCode('(1, 2)', 1), 2);
+  assert.equal(await evaluateCode('await Promise.resolve(5)', 1), 5);
+  assert.equal(await evaluateCode('if (true) { 1 }', 1), undefined);
+});
+
+test('a snippet that is only an object literal returns the object', async () => {
+  assert.deepEqual(await evaluateCode('{ a: 1, b: [2] }', 1), { a: 1, b: [2] });
+  assert.equal(await evaluateCode('{ globalThis.replBlock = 1 }', 1), undefined);
+  assert.equal(globalThis.replBlock, 1);
+});
+
+test('declarations may not replace built-in or sandbox globals', () => {
+  const cases = [
+    ["const crypto = require('crypto')", 'crypto', { line: 1, column: 6 }], // getter-only
+    ['let undefined = 1', 'undefined', { line: 1, column: 4 }], // read-only
+    ['const console = {}', 'console', { line: 1, column: 6 }],
+    ['const replOk = 1;\nvar { a: [, ...process] } = {}', 'process', { line: 2, column: 15 }],
+    ['class Map {}', 'Map', { line: 1, column: 6 }],
+    ['function Read() {}', 'Read', { line: 1, column: 9 }], // reserved by the sandbox
+    ["import clear_context from 'x'", 'clear_context', { line: 1, column: 7 }]
+  ];
+  for (const [code, name, loc] of cases) {
+    assert.throws(() => toReplScript(code), (error) => {
+      assert.ok(error instanceof SyntaxError);
+      assert.match(error.message, new RegExp(`Cannot declare "${name}"`));
+      assert.deepEqual({ line: error.loc.line, column: error.loc.column }, loc);
+      return true;
+    }, code);
+  }
+  assert.equal(typeof globalThis.crypto.getRandomValues, 'function');
+});
+
+test('packages are imported with the ESM conditions', async () => {
+  const directory = mkdtempSync(join(tmpdir(), 'codemode-import-'));
+  const writePackage = (name, exports, files) => {
+    const packageDirectory = join(directory, 'node_modules', name);
+    mkdirSync(packageDirectory, { recursive: true });
+    writeFileSync(join(packageDirectory, 'package.json'), JSON.stringify({ name, exports }));
+    for (const [file, text] of Object.entries(files)) writeFileSync(join(packageDirectory, file), text);
+  };
+  writePackage('esm-only', { import: './index.mjs' }, { 'index.mjs': 'export default "esm";' });
+  writePackage('dual', { import: './index.mjs', require: './index.cjs' }, {
+    'index.mjs': 'export default "dual-esm";',
+    'index.cjs': 'module.exports = "dual-cjs";'
+  });
+
+  assert.equal((await importModule('esm-only', directory)).default, 'esm');
+  assert.equal((await importModule('dual', directory)).default, 'dual-esm');
+  await assert.rejects(importModule('missing-package', directory), { code: 'ERR_MODULE_NOT_FOUND' });
+});
+
+// Where plain Node reports these errors when the snippet runs as a file of its own
+test('error locations point at the snippet as written, whatever the transform rewrote', async () => {
+  const cases = [
+    ['const a = 1;\nnull.x', 'last expression', { line: 2, column: 6 }],
+    ['function f() { null.y }\nconst q = 1;\nf()', 'function call on the last line', { line: 1, column: 21 }, 'execute-2.js:3:1'],
+    ['let a = null.x', 'let', { line: 1, column: 14 }],
+    ['const { b } = null', 'destructuring const', { line: 1, column: 9 }],
+    ['let c = 1, d = c.e.f', 'several declarators', { line: 1, column: 20 }],
+    ['class A { static x = null.y }', 'class', { line: 1, column: 27 }, 'execute-6.js:1:1'],
+    ['{ a: null.x }', 'object literal', { line: 1, column: 11 }],
+    ['export default null.x', 'default export', { line: 1, column: 21 }],
+    ['const n: number = 1;\nlet s: string = (null as any).x', 'TypeScript', { line: 2, column: 31 }]
+  ];
+
+  let execId = 0;
+  for (const [code, kind, expected, callerFrame] of cases) {
+    execId++;
+    const compiled = compileSnippet(code);
+    const error = await evaluateCode(compiled.code, execId).then(() => null, error => error);
+    assert.ok(error, kind);
+    assert.deepEqual(locateError(error, execId, code, compiled.language), expected, kind);
+    if (callerFrame) assert.match(cleanStack(error.stack, execId, code, compiled.language), new RegExp(callerFrame.replace(/\./g, '\\.')), kind);
+  }
+});
+
+test('syntax errors and rejected names are located in the snippet', () => {
+  const error = (code) => {
+    try {
+      compileSnippet(code);
+    } catch (error) {
+      return error;
+    }
+    assert.fail(`${code} compiled`);
+  };
+  assert.deepEqual(locateError(error('const a = 1;\nlet = ;'), 1, ''), { line: 2, column: 7 });
+  assert.deepEqual(locateError(error('let n: number = 1; const console: any = 2'), 1, ''), { line: 1, column: 26 });
+});
+
+test('code frames mark the line and column', () => {
+  assert.equal(codeFrame('const a = 1;\nnull.x\nconst b = 2;', { line: 2, column: 6 }), [
+    '  1 | const a = 1;',
+    '> 2 | null.x',
+    '    |      ^',
+    '  3 | const b = 2;'
+  ].join('\n'));
+});
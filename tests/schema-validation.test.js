@@ -0,0 +1,58 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createArgumentValidator } from '../schema-validation.js';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+const validate = createArgumentValidator('stub.search', {
+  type: 'object',
+  properties: {
+    limit: { type: 'number' },
+    mode: { type: 'string', enum: ['fast', 'exact'] },
+    options: { type: 'object', properties: { caseSensitive: { type: 'boolean' } } },
+    pages: { type: 'array', items: { type: 'integer' } }
+  },
+  required: ['limit'],
+  additionalProperties: false
+});
+
+const issuesOf = (args) => {
+  try {
+    validate(args);
+  } catch (error) {
+    assert.equal(error.name, 'ValidationError');
+    return error.issues;
+  }
+  assert.fail('expected a ValidationError');
+};
+
+test('lossless coercions are applied to numbers and booleans', () => {
+  assert.deepEqual(
+    validate({ limit: '5', mode: 'fast', options: { caseSensitive: 'true' }, pages: ['1', 2] }),
+    { limit: 5, mode: 'fast', options: { caseSensitive: true }, pages: [1, 2] }
+  );
+  // null optional params count as not given
+  assert.deepEqual(validate({ limit: 1, mode: null }), { limit: 1 });
+});
+
+test('invalid arguments name the offending path and the expected type', () => {
+  assert.deepEqual(issuesOf({ limit: 'many' }), [{ path: 'limit', message: 'limit: expected number, received string' }]);
+  assert.deepEqual(issuesOf({}), [{ path: 'limit', message: 'limit: missing required parameter (expected number)' }]);
+  assert.deepEqual(issuesOf({ limit: 1, mode: 'slow' }), [{ path: 'mode', message: 'mode: expected one of "fast", "exact"' }]);
+  assert.deepEqual(issuesOf({ limit: 1, options: { caseSensitive: 'maybe' } }), [{ path: 'options.caseSensitive', message: 'options.caseSensitive: expected boolean, received string' }]);
+  assert.deepEqual(issuesOf({ limit: 1, pages: [1.5] }), [{ path: 'pages[0]', message: 'pages[0]: expected integer, received float' }]);
+  assert.deepEqual(issuesOf({ limit: 1, sort: 'asc' }), [{ path: 'arguments', message: "arguments: unknown parameter(s) 'sort'" }]);
+});
+
+test('generated wrappers validate before the call reaches the server', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  assert.match(await codemode.evaluate(`await stub.echo({ text: 'hi', count: '3' })`), /^echo:\{"text":"hi","count":3\} /);
+
+  const report = await codemode.run(`await stub.echo({ text: 'hi', mode: 'c' })`);
+  assert.equal(report.error.name, 'ValidationError');
+  assert.match(report.error.message, /Invalid arguments for stub\.echo: mode: expected one of "a", "b"/);
+  assert.deepEqual(report.toolCalls, []);
+});
@@ -0,0 +1,70 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { startCodemode, waitFor } from './support/codemode.js';
+
+const listSessions = async (codemode) => (await codemode.call({ action: 'list_sessions' })).content[0].text;
+
+test('each sessionId gets its own worker, variables and working directory', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+  mkdirSync(join(codemode.dir, 'a'));
+
+  await codemode.evaluate(`const owner = 'a'`, { sessionId: 'a' });
+  await codemode.evaluate(`const owner = 'b'`, { sessionId: 'b' });
+
+  // Run side by side, each in its own directory
+  const readBack = `await new Promise(resolve => setTimeout(resolve, 300)); [owner, process.cwd(), require('fs').existsSync('a')]`;
+  assert.deepEqual(
+    await Promise.all([
+      codemode.evaluate(readBack, { sessionId: 'a', workingDirectory: join(codemode.dir, 'a') }),
+      codemode.evaluate(readBack, { sessionId: 'b' })
+    ]),
+    [['a', join(codemode.dir, 'a'), false], ['b', codemode.dir, true]]
+  );
+  assert.equal(await codemode.evaluate(`typeof owner`), 'undefined');
+
+  const pids = await Promise.all([undefined, 'a', 'b'].map(sessionId => codemode.evaluate(`process.pid`, { sessionId })));
+  assert.equal(new Set(pids).size, 3);
+
+  assert.match(await listSessions(codemode), /Sessions \(2\/8 named\):\n\n- default: pid \d+, 0 running\n- b: pid \d+, 0 running, .*\n- a: pid \d+, 0 running/);
+
+  const closed = await codemode.call({ action: 'close_session', sessionId: 'a' });
+  assert.equal(closed.content[0].text, 'Session a closed');
+  assert.equal(await codemode.evaluate(`typeof owner`, { sessionId: 'a' }), 'undefined');
+});
+
+test('the least recently used idle session is evicted at maxSessions', async (t) => {
+  const codemode = await startCodemode({ maxSessions: 2, mcpServers: {} });
+  t.after(codemode.close);
+
+  await codemode.evaluate(`const owner = 'a'`, { sessionId: 'a' });
+  await codemode.evaluate(`const owner = 'b'`, { sessionId: 'b' });
+  await codemode.evaluate(`owner`, { sessionId: 'a' });
+  await codemode.evaluate(`const owner = 'c'`, { sessionId: 'c' });
+
+  assert.match(codemode.stderr, /Session limit \(2\) reached - evicting least recently used session b/);
+  assert.equal(await codemode.evaluate(`owner`, { sessionId: 'a' }), 'a');
+  assert.doesNotMatch(await listSessions(codemode), /- b:/);
+});
+
+test('a session with an execution handed over to async mode is never evicted', async (t) => {
+  const codemode = await startCodemode({ maxSessions: 1, mcpServers: {} }, { env: { CODEMODE_ASYNC_HANDOVER_MS: '200' } });
+  t.after(codemode.close);
+
+  const handedOver = await codemode.call({ code: `await new Promise(resolve => setTimeout(resolve, 3000)); 'done'`, sessionId: 'a' });
+  assert.match(handedOver.content[0].text, /Execution moved to async mode after 0\.2 seconds/);
+  assert.match(await listSessions(codemode), /- a: pid \d+, 1 running/);
+
+  const refused = await codemode.call({ code: `1`, sessionId: 'b' });
+  assert.equal(refused.isError, true);
+  assert.match(refused.content[0].text, /All 1 sessions are busy/);
+
+  // Once the async execution finishes the session is idle and can make room
+  await waitFor(async () => /- a: pid \d+, 0 running/.test(await listSessions(codemode)));
+  assert.equal(await codemode.evaluate(`1`, { sessionId: 'b' }), 1);
+  assert.match(codemode.stderr, /evicting least recently used session a/);
+});
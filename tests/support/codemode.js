@@ -0,0 +1,114 @@
+// Runs code-mode.js the way an MCP client does: JSON-RPC over stdio, in a scratch directory with its own .codemode.json
+
+import { spawn } from 'node:child_process';
+import { mkdtempSync, writeFileSync, existsSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+export const STUB_SERVER = join(root, 'tests', 'fixtures', 'stub-mcp-server.js');
+
+export function scratchDirectory() {
+  return mkdtempSync(join(tmpdir(), 'codemode-test-'));
+}
+
+// Messages the stub server received, in order (see tests/fixtures/stub-mcp-server.js)
+export function readStubLog(file) {
+  if (!existsSync(file)) return [];
+  return readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+export function stubServerConfig(extra = {}) {
+  return { command: process.execPath, args: [STUB_SERVER], ...extra };
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns something truthy
+export async function waitFor(check, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await sleep(intervalMs);
+  }
+  throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+// config is written to .codemode.json; pass dir to share a scratch directory (and its tool manifest cache) between runs,
+// otherwise a fresh one is created and removed again by close()
+export async function startCodemode(config, { dir, env = {}, args = [] } = {}) {
+  const ownsDir = !dir;
+  dir ??= scratchDirectory();
+  writeFileSync(join(dir, '.codemode.json'), JSON.stringify(config, null, 2));
+
+  const child = spawn(process.execPath, [join(root, 'code-mode.js'), ...args], {
+    cwd: dir,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: { ...process.env, CODEMODE_CACHE_DIR: join(dir, '.cache'), ...env }
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (data) => { stderr += data; });
+
+  const pending = new Map();
+  let nextId = 0;
+  let buffer = '';
+  child.stdout.on('data', (data) => {
+    buffer += data;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        continue; // not JSON-RPC
+      }
+      pending.get(message.id)?.(message);
+      pending.delete(message.id);
+    }
+  });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  const request = (method, params) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, (message) => message.error ? reject(new Error(message.error.message)) : resolve(message.result));
+    child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  });
+
+  await request('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'tests', version: '1.0.0' } });
+  child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+
+  const codemode = {
+    dir,
+    child,
+    get stderr() { return stderr; },
+    request,
+    // Raw execute tool call: { content, structuredContent, isError }
+    call: (args) => request('tools/call', { name: 'execute', arguments: { workingDirectory: dir, ...args } }),
+    // Runs code with outputFormat "json" and returns the report
+    async run(code, args = {}) {
+      const result = await codemode.call({ code, outputFormat: 'json', ...args });
+      return result.structuredContent;
+    },
+    // Runs code and returns its value, failing on errors
+    async evaluate(code, args = {}) {
+      const report = await codemode.run(code, args);
+      if (report.error) throw new Error(`Execution failed: ${report.error.message}`);
+      return report.returnValue;
+    },
+    async description() {
+      const { tools } = await request('tools/list', {});
+      return tools[0].description;
+    },
+    async close() {
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGTERM');
+      await exited;
+      if (ownsDir) rmSync(dir, { recursive: true, force: true });
+    }
+  };
+  return codemode;
+}
@@ -0,0 +1,38 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+test('excludeTools hides tools from the sandbox and the manager, alias renames them', async (t) => {
+  const codemode = await startCodemode({
+    mcpServers: { stub: stubServerConfig({ excludeTools: ['delete_*', 'cr?sh'], alias: { echo: 'say' } }) }
+  });
+  t.after(codemode.close);
+
+  assert.deepEqual(
+    await codemode.evaluate(`[typeof stub.delete_all, typeof stub.crash, typeof stub.echo, typeof stub.say, typeof stub.slow]`),
+    ['undefined', 'undefined', 'undefined', 'function', 'function']
+  );
+  assert.match(await codemode.evaluate(`await stub.say({ text: 'hi' })`), /^echo:\{"text":"hi"\} /);
+
+  // Going around the generated functions doesn't reach hidden or renamed tools either
+  const hidden = await codemode.run(`await __callMCPTool('stub', 'delete_all', {})`);
+  assert.match(hidden.error.message, /stub\.delete_all is not available in the sandbox/);
+  const renamed = await codemode.run(`await __callMCPTool('stub', 'echo', { text: 'hi' })`);
+  assert.match(renamed.error.message, /stub\.echo is exposed as stub\.say/);
+
+  const description = await codemode.description();
+  assert.match(description, /- stub\.say\(text: string/);
+  assert.doesNotMatch(description, /delete_all/);
+});
+
+test('includeTools keeps only the matching tools', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig({ includeTools: ['echo', 'add_*'] }) } });
+  t.after(codemode.close);
+
+  assert.deepEqual(
+    await codemode.evaluate(`Object.keys(stub).filter(name => !name.startsWith('$')).sort()`),
+    ['add_resource', 'add_tool', 'echo']
+  );
+});
@@ -0,0 +1,66 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ToolManifestCache } from '../tool-manifest-cache.js';
+import { startCodemode, stubServerConfig, scratchDirectory } from './support/codemode.js';
+
+const serverState = {
+  capabilities: { tools: {} },
+  tools: [{ name: 'echo', inputSchema: { type: 'object', properties: {} } }],
+  resources: [],
+  resourceTemplates: [],
+  prompts: []
+};
+
+test('manifests are keyed by command, args and the version of the package the server script belongs to', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'codemode-manifests-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const setVersion = (version) => writeFileSync(join(dir, 'server', 'package.json'), JSON.stringify({ name: 'stub-server', version }));
+  mkdirSync(join(dir, 'server', 'lib'), { recursive: true });
+  setVersion('1.0.0');
+
+  const cache = new ToolManifestCache(join(dir, 'cache'));
+  cache.configDir = dir;
+  const serverConfig = { command: 'node', args: ['server/lib/index.js'] };
+  assert.equal(cache.packageVersion(serverConfig), 'stub-server@1.0.0');
+
+  cache.set('stub', serverConfig, serverState);
+  assert.deepEqual(cache.get('stub', serverConfig).tools, serverState.tools);
+
+  assert.equal(cache.get('stub', { ...serverConfig, args: [...serverConfig.args, '--verbose'] }), null);
+  assert.equal(cache.get('stub', { ...serverConfig, command: 'bun' }), null);
+  assert.equal(cache.get('other', serverConfig), null);
+
+  // Upgrading the server package invalidates its manifest
+  setVersion('1.1.0');
+  assert.equal(cache.get('stub', serverConfig), null);
+  setVersion('1.0.0');
+  assert.notEqual(cache.get('stub', serverConfig), null);
+
+  assert.equal(cache.clear(), 1);
+  assert.equal(cache.get('stub', serverConfig), null);
+});
+
+test('a cached manifest publishes tools at startup until --refresh-tools discards it', async (t) => {
+  const dir = scratchDirectory();
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const config = { mcpServers: { stub: stubServerConfig() } };
+
+  const first = await startCodemode(config, { dir });
+  await first.close();
+  assert.doesNotMatch(first.stderr, /from cached manifest/);
+
+  const cached = await startCodemode(config, { dir });
+  await cached.close();
+  assert.match(cached.stderr, /stub: \d+ tool\(s\) from cached manifest, revalidating in background/);
+
+  const refreshed = await startCodemode(config, { dir, args: ['--refresh-tools'] });
+  await refreshed.close();
+  assert.match(refreshed.stderr, /--refresh-tools: discarded 1 cached tool manifest\(s\)/);
+  assert.doesNotMatch(refreshed.stderr, /from cached manifest/);
+});
@@ -0,0 +1,69 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { generateDeclarations, schemaToType, toolSignature } from '../type-declarations.js';
+import { startCodemode, stubServerConfig } from './support/codemode.js';
+
+const navigate = {
+  name: 'navigate',
+  description: 'Open a page',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'Page to open' },
+      waitUntil: { type: 'string', enum: ['load', 'networkidle'] },
+      viewport: { type: 'object', properties: { width: { type: 'integer' }, height: { type: 'integer' } }, required: ['width'] },
+      default: { type: 'boolean' }
+    },
+    required: ['url']
+  },
+  outputSchema: { type: 'object', properties: { status: { type: 'number' } }, required: ['status'] }
+};
+
+test('schemas become TypeScript types with enums, nested objects and optional members', () => {
+  assert.equal(schemaToType(navigate.inputSchema.properties.waitUntil), '"load" | "networkidle"');
+  assert.equal(schemaToType(navigate.inputSchema.properties.viewport), '{ width: number; height?: number; }');
+  assert.equal(schemaToType({ type: 'array', items: { type: ['string', 'null'] } }), 'Array<string | null>');
+  assert.equal(schemaToType({ anyOf: [{ const: 1 }, { type: 'string' }] }), '1 | string');
+  assert.equal(schemaToType({ type: 'object', additionalProperties: { type: 'number' } }), 'Record<string, number>');
+});
+
+test('tool signatures list positional parameters, renaming reserved words, and the return shape', () => {
+  assert.equal(
+    toolSignature('browser', navigate),
+    'browser.navigate(url: string, waitUntil?: "load" | "networkidle", viewport?: { width: number; height?: number; }, _default?: boolean): Promise<ToolResult<{ status: number; }>>'
+  );
+  // An optional parameter before a required one can only be passed as null
+  const tool = { name: 'pick', inputSchema: { type: 'object', properties: { from: { type: 'string' }, count: { type: 'number' } }, required: ['count'] } };
+  assert.equal(toolSignature('s', tool), 's.pick(from: string | null, count: number)');
+});
+
+test('declarations cover every server tool, resource helpers and the global aliases', () => {
+  const declarations = generateDeclarations(
+    { browser: [navigate] },
+    { browser: { hasResources: true, hasPrompts: false } }
+  );
+
+  assert.match(declarations, /type BrowserNavigateArgs = \{\n {2}\/\*\* Page to open \*\/\n {2}url: string;\n {2}waitUntil\?: "load" \| "networkidle";/);
+  assert.match(declarations, /declare const browser: \{\n {2}\/\*\* Open a page \*\/\n {2}navigate\(args: BrowserNavigateArgs\): Promise<ToolResult<\{/);
+  assert.match(declarations, / {2}\$resources: McpResourceHelpers;/);
+  assert.doesNotMatch(declarations, /\$prompts: McpPromptHelpers/);
+  for (const alias of ['Read', 'Write', 'Edit', 'Glob', 'Grep', 'Bash', 'LS']) {
+    assert.match(declarations, new RegExp(`declare function ${alias}\\(`));
+  }
+});
+
+test('the execute description and sandbox.d.ts follow the servers\' schemas', async (t) => {
+  const codemode = await startCodemode({ mcpServers: { stub: stubServerConfig() } });
+  t.after(codemode.close);
+
+  const description = await codemode.description();
+  assert.match(description, /- stub\.echo\(text: string, count\?: number, mode\?: "a" \| "b"\): Echo the arguments/);
+
+  const path = join(codemode.dir, '.cache', 'sandbox.d.ts');
+  assert.ok(description.includes(`Full TypeScript declarations: ${path}`));
+  assert.match(readFileSync(path, 'utf8'), /type StubEchoArgs = \{\n  text: string;\n  count\?: number;\n  mode\?: "a" \| "b";\n\};/);
+});
@@ -0,0 +1,42 @@
+// Run with npm test (node --test)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startCodemode } from './support/codemode.js';
+
+test('TypeScript snippets run with types stripped, detected or chosen with language', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+
+  // Detected without a language
+  assert.deepEqual(await codemode.evaluate(`
+    interface Row { id: number; active?: boolean }
+    enum Level { Low = 1, High }
+    const rows: Row[] = [{ id: 1, active: true }, { id: 2 }];
+    const active = rows.filter((row): boolean => !!row.active) as Row[];
+    [active.length, Level.High]
+  `), [1, 2]);
+
+  // Declarations persist like JavaScript ones
+  assert.equal(await codemode.evaluate(`rows.length`), 2);
+
+  // Errors point at the line as written
+  const failed = await codemode.run(`const n: number = 1;\nconst s: string = (null as any).x;`, { language: 'typescript' });
+  assert.equal(failed.error.name, 'TypeError');
+  assert.equal(failed.error.location.line, 2);
+
+  const rejected = await codemode.call({ code: `1`, language: 'python' });
+  assert.equal(rejected.isError, true);
+  assert.match(rejected.content[0].text, /language must be one of javascript, typescript, tsx, got "python"/);
+});
+
+test('TSX compiles JSX to React.createElement from the context', async (t) => {
+  const codemode = await startCodemode({ mcpServers: {} });
+  t.after(codemode.close);
+
+  await codemode.evaluate(`const React = { createElement: (type, props, ...children) => ({ type, props, children }) }`);
+  assert.deepEqual(
+    await codemode.evaluate(`const label: string = 'hi';\n<b title={label}>{label}</b>`, { language: 'tsx' }),
+    { type: 'b', props: { title: 'hi' }, children: ['hi'] }
+  );
+});
@@ -0,0 +1,146 @@
+// On-disk cache of what each MCP server exposes (tools, resources, prompts)
+// Lets servers publish their sandbox functions before (or without) being spawned
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, rmSync } from 'fs';
+import { join, resolve, dirname, basename } from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+
+// Bump when the manifest format changes so old entries are ignored
+const MANIFEST_FORMAT_VERSION = 1;
+
+const PACKAGE_RUNNERS = ['npx', 'npx.cmd', 'bunx', 'pnpx'];
+
+function readPackageJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Nearest package.json above a local server script
+function findOwningPackage(scriptPath) {
+  let dir = dirname(scriptPath);
+  while (true) {
+    const pkg = readPackageJson(join(dir, 'package.json'));
+    if (pkg) return pkg;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Package name from an npx spec such as "@playwright/mcp@latest" or "vexify@1.2.0"
+function packageNameFromSpec(spec) {
+  const versionAt = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+  return versionAt === -1 ? spec : spec.substring(0, versionAt);
+}
+
+// Version npx most recently installed for a package, from its cache in ~/.npm/_npx
+function findNpxInstalledVersion(packageName) {
+  const npxDir = join(homedir(), '.npm', '_npx');
+  if (!existsSync(npxDir)) return null;
+
+  let newest = null;
+  for (const entry of readdirSync(npxDir)) {
+    const pkgPath = join(npxDir, entry, 'node_modules', packageName, 'package.json');
+    if (!existsSync(pkgPath)) continue;
+    const mtime = statSync(pkgPath).mtimeMs;
+    if (!newest || mtime > newest.mtime) {
+      newest = { mtime, version: readPackageJson(pkgPath)?.version };
+    }
+  }
+  return newest?.version || null;
+}
+
+export class ToolManifestCache {
+  constructor(cacheDir = process.env.CODEMODE_CACHE_DIR || join(homedir(), '.cache', 'codemode-agent')) {
+    this.cacheDir = cacheDir;
+    this.manifestDir = join(cacheDir, 'tool-manifests');
+    this.configDir = process.cwd();
+  }
+
+  // Identify the installed server code so an upgrade invalidates its manifest
+  packageVersion(serverConfig) {
+    if (serverConfig.url) return null;
+
+    const args = (serverConfig.args || []).filter(arg => !arg.startsWith('-'));
+    const script = args.find(arg => /\.[cm]?js$/.test(arg));
+    if (script && !script.includes('${')) {
+      const pkg = findOwningPackage(resolve(this.configDir, script));
+      return pkg ? `${pkg.name}@${pkg.version}` : null;
+    }
+
+    if (PACKAGE_RUNNERS.includes(basename(serverConfig.command || '')) && args.length > 0) {
+      const packageName = packageNameFromSpec(args[0]);
+      const version = findNpxInstalledVersion(packageName);
+      return version ? `${packageName}@${version}` : null;
+    }
+
+    return null;
+  }
+
+  // A manifest is only valid for the exact server (command, args, package version) it was discovered from
+  key(serverName, serverConfig) {
+    const identity = JSON.stringify({
+      format: MANIFEST_FORMAT_VERSION,
+      serverName,
+      type: serverConfig.type || 'stdio',
+      command: serverConfig.command,
+      args: serverConfig.args || [],
+      url: serverConfig.url,
+      packageVersion: this.packageVersion(serverConfig)
+    });
+    return createHash('sha256').update(identity).digest('hex').substring(0, 32);
+  }
+
+  pathFor(serverName, serverConfig) {
+    return join(this.manifestDir, `${this.key(serverName, serverConfig)}.json`);
+  }
+
+  get(serverName, serverConfig) {
+    const path = this.pathFor(serverName, serverConfig);
+    if (!existsSync(path)) return null;
+
+    try {
+      const manifest = JSON.parse(readFileSync(path, 'utf8'));
+      if (!Array.isArray(manifest.tools)) {
+        console.error(`[Manifest Cache] Ignoring malformed manifest for ${serverName}: ${path}`);
+        return null;
+      }
+      return manifest;
+    } catch (error) {
+      console.error(`[Manifest Cache] Failed to read manifest for ${serverName}:`, error.message);
+      return null;
+    }
+  }
+
+  set(serverName, serverConfig, serverState) {
+    const manifest = {
+      serverName,
+      cachedAt: new Date().toISOString(),
+      capabilities: serverState.capabilities,
+      tools: serverState.tools,
+      resources: serverState.resources,
+      resourceTemplates: serverState.resourceTemplates,
+      prompts: serverState.prompts
+    };
+
+    try {
+      mkdirSync(this.manifestDir, { recursive: true });
+      writeFileSync(this.pathFor(serverName, serverConfig), JSON.stringify(manifest, null, 2), 'utf8');
+    } catch (error) {
+      // A cache that can't be written only costs a slower start next time
+      console.error(`[Manifest Cache] Failed to write manifest for ${serverName}:`, error.message);
+    }
+  }
+
+  // Drop every cached manifest (codemode-agent --refresh-tools); returns how many were removed
+  clear() {
+    if (!existsSync(this.manifestDir)) return 0;
+    const count = readdirSync(this.manifestDir).filter(file => file.endsWith('.json')).length;
+    rmSync(this.manifestDir, { recursive: true, force: true });
+    return count;
+  }
+}
@@ -0,0 +1,277 @@
+// Turns MCP tool inputSchemas into TypeScript declarations for the execute sandbox
+// Feeds both the generated sandbox.d.ts and the typed signatures in the execute tool description
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+  'var', 'void', 'while', 'with', 'let', 'static', 'yield', 'await', 'implements', 'interface',
+  'package', 'private', 'protected', 'public'
+]);
+
+// Shared by every declaration file: what tools and the sandbox helpers resolve to
+const PREAMBLE = `// Generated by codemode-agent from the MCP servers' input schemas - do not edit
+// Declarations for the globals available inside the execute sandbox
+
+/// <reference types="node" />
+
+interface ToolFile {
+  mimeType: string;
+  /** Temporary file the content was saved to */
+  path: string;
+  buffer: Buffer;
+}
+
+interface ToolResource {
+  uri: string;
+  name?: string;
+  mimeType?: string;
+  description?: string;
+  text?: string;
+  blob?: string;
+}
+
+/** Returned instead of a plain string when a tool produces images, audio, resources or structured content */
+interface ToolResult<S = unknown> {
+  text: string;
+  images: ToolFile[];
+  audio: ToolFile[];
+  resources: ToolResource[];
+  structuredContent: S | undefined;
+  toString(): string;
+}
+
+declare class ToolError extends Error {
+  constructor(message: string, code?: string, toolName?: string, retryable?: boolean, suggestions?: string[]);
+  code: string;
+  tool: string;
+  retryable: boolean;
+  suggestions: string[];
+}
+
+declare class TimeoutError extends ToolError {
+  constructor(message: string, toolName?: string, timeoutMs?: number);
+  timeoutMs: number;
+}
+
+/** Thrown when a call's arguments don't match the tool's input schema */
+declare class ValidationError extends ToolError {
+  constructor(message: string, toolName?: string);
+}
+
+interface McpResourceHelpers {
+  list(cursor?: string): Promise<{ resources: ToolResource[]; nextCursor?: string }>;
+  templates(cursor?: string): Promise<{ resourceTemplates: Array<{ uriTemplate: string; name?: string; description?: string; mimeType?: string }>; nextCursor?: string }>;
+  read(uri: string): Promise<{ contents: ToolResource[] }>;
+  /** Resolves to an unsubscribe function */
+  subscribe(uri: string, onUpdate: (uri: string) => void): Promise<() => Promise<void>>;
+}
+
+interface ContextVariable {
+  name: string;
+  /** e.g. "Array(3)", "Map(10)", "function load" */
+  type: string;
+  /** Approximate retained size in bytes; a lower bound when sizeComplete is false */
+  size: number;
+  sizeComplete: boolean;
+  /** execId of the execution that last assigned it, or 'load_context' */
+  lastWrittenBy: number | 'load_context' | null;
+}
+
+/** Variables persisted across executions */
+declare const context: {
+  list(): ContextVariable[];
+  /** Returns false if name isn't a persisted variable */
+  delete(name: string): boolean;
+};
+
+/** Aborted when this execution is killed - pass it to fetch() or check signal.aborted in long loops */
+declare const signal: AbortSignal;
+
+interface McpPromptHelpers {
+  list(cursor?: string): Promise<{ prompts: Array<{ name: string; description?: string; arguments?: Array<{ name: string; description?: string; required?: boolean }> }>; nextCursor?: string }>;
+  get(name: string, args?: Record<string, string>): Promise<{ description?: string; messages: Array<{ role: 'user' | 'assistant'; content: unknown }> }>;
+}
+`;
+
+// Global aliases defined at the end of generateMCPFunctions - keep in sync with their parameter order
+const ALIAS_DECLARATIONS = `
+/** Read a file (relative paths resolve against the working directory) */
+declare function Read(file_path: string, offset?: number, limit?: number): Promise<string>;
+/** Write a file, creating parent directories as needed */
+declare function Write(file_path: string, content: string): Promise<string>;
+/** Replace old_string with new_string in a file */
+declare function Edit(file_path: string, old_string: string, new_string: string, replace_all?: boolean): Promise<string>;
+/** Find files matching a glob pattern such as "src/**" or "*.js" */
+declare function Glob(pattern: string, path?: string): Promise<string>;
+/** Search file contents with ripgrep */
+declare function Grep(pattern: string, path?: string, options?: { glob?: string; type?: string; output_mode?: 'content' | 'files_with_matches' | 'count'; [option: string]: unknown }): Promise<string>;
+/** Run a shell command; timeout is in milliseconds */
+declare function Bash(command: string, description?: string, timeout?: number): Promise<string>;
+/** List a directory; files_only returns an array of names */
+declare function LS(path: string, show_hidden?: boolean, recursive?: boolean, files_only?: false): Promise<string>;
+declare function LS(path: string, show_hidden: boolean | undefined, recursive: boolean | undefined, files_only: true): Promise<string[]>;
+declare function TodoWrite(todos: Array<Record<string, unknown>>): Promise<string>;
+`;
+
+export const ALIAS_SIGNATURES = [
+  'Read(file_path: string, offset?: number, limit?: number): Promise<string>',
+  'Write(file_path: string, content: string): Promise<string>',
+  'Edit(file_path: string, old_string: string, new_string: string, replace_all?: boolean): Promise<string>',
+  'Glob(pattern: string, path?: string): Promise<string>',
+  'Grep(pattern: string, path?: string, options?: { glob?, type?, output_mode? }): Promise<string>',
+  'Bash(command: string, description?: string, timeout?: number): Promise<string>',
+  'LS(path: string, show_hidden?: boolean, recursive?: boolean, files_only?: boolean): Promise<string | string[]>'
+];
+
+function propertyKey(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+// Positional parameter name as used by the generated wrapper (reserved words get a leading underscore)
+export function parameterName(name) {
+  const safe = name.replace(/[^\w$]/g, '_');
+  return RESERVED_WORDS.has(safe) || !IDENTIFIER.test(safe) ? `_${safe}` : safe;
+}
+
+function unionOf(types) {
+  const unique = [...new Set(types)];
+  return unique.includes('unknown') ? 'unknown' : unique.join(' | ');
+}
+
+function docComment(schema, indent) {
+  const parts = [];
+  if (schema.description) parts.push(schema.description.trim());
+  if (schema.default !== undefined) parts.push(`@default ${JSON.stringify(schema.default)}`);
+  if (parts.length === 0) return '';
+  return `${indent}/** ${parts.join(' ').replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */\n`;
+}
+
+function render(schema, indent, multiline) {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (Array.isArray(schema.enum)) return unionOf(schema.enum.map(value => JSON.stringify(value)));
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) return unionOf(variants.map(variant => render(variant, indent, multiline)));
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.map(part => {
+      const type = render(part, indent, multiline);
+      return type.includes(' | ') ? `(${type})` : type;
+    }).join(' & ');
+  }
+  if (Array.isArray(schema.type)) {
+    return unionOf(schema.type.map(type => render({ ...schema, type }, indent, multiline)));
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array':
+      if (Array.isArray(schema.items)) {
+        return `[${schema.items.map(item => render(item, indent, multiline)).join(', ')}]`;
+      }
+      return `Array<${render(schema.items, indent, multiline)}>`;
+    case 'object':
+      return renderObject(schema, indent, multiline);
+    default:
+      return schema.properties ? renderObject(schema, indent, multiline) : 'unknown';
+  }
+}
+
+function renderObject(schema, indent, multiline) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const extra = schema.additionalProperties;
+  const names = Object.keys(properties);
+
+  if (names.length === 0) {
+    return `Record<string, ${extra && typeof extra === 'object' ? render(extra, indent, multiline) : 'unknown'}>`;
+  }
+
+  const inner = indent + '  ';
+  const members = names.map(name => {
+    const optional = required.includes(name) ? '' : '?';
+    const member = `${propertyKey(name)}${optional}: ${render(properties[name], inner, multiline)};`;
+    return multiline ? `${docComment(properties[name], inner)}${inner}${member}` : member;
+  });
+  if (extra === true || (extra && typeof extra === 'object')) {
+    members.push('[key: string]: unknown;');
+    if (multiline) members[members.length - 1] = inner + members[members.length - 1];
+  }
+
+  return multiline
+    ? `{\n${members.join('\n')}\n${indent}}`
+    : `{ ${members.join(' ')} }`;
+}
+
+// TypeScript type for a JSON Schema; single-line unless multiline is set
+export function schemaToType(schema, { multiline = false, indent = '' } = {}) {
+  return render(schema, indent, multiline);
+}
+
+function resultType(tool, multiline, indent = '') {
+  if (!tool.outputSchema) return 'Promise<string | ToolResult>';
+  return `Promise<ToolResult<${schemaToType(tool.outputSchema, { multiline, indent })}>>`;
+}
+
+// Positional parameters in schema order; optional ones before a required one can't be omitted, only nulled
+function positionalParameters(tool, multiline, indent) {
+  const properties = tool.inputSchema.properties;
+  const required = tool.inputSchema.required || [];
+  const names = Object.keys(properties);
+  const lastRequired = names.reduce((last, name, i) => required.includes(name) ? i : last, -1);
+
+  return names.map((name, i) => {
+    const type = schemaToType(properties[name], { multiline, indent });
+    if (required.includes(name)) return `${parameterName(name)}: ${type}`;
+    return i < lastRequired ? `${parameterName(name)}: ${type} | null` : `${parameterName(name)}?: ${type}`;
+  });
+}
+
+// Compact one-line signature for the execute tool description
+export function toolSignature(serverName, tool) {
+  return `${serverName}.${tool.name}(${positionalParameters(tool, false, '').join(', ')})` +
+    (tool.outputSchema ? `: ${resultType(tool, false)}` : '');
+}
+
+function pascalCase(name) {
+  return name.replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (match, separator, letter) => letter.toUpperCase());
+}
+
+// Full sandbox.d.ts content for the current tool set
+export function generateDeclarations(toolDescriptions, featureDescriptions = {}) {
+  let declarations = PREAMBLE;
+
+  for (const [serverName, tools] of Object.entries(toolDescriptions)) {
+    const members = [];
+
+    for (const tool of tools) {
+      const argsType = `${pascalCase(serverName)}${pascalCase(tool.name)}Args`;
+      declarations += `\n${docComment({ description: `Arguments of ${serverName}.${tool.name}` }, '')}` +
+        `type ${argsType} = ${schemaToType({ ...tool.inputSchema, type: 'object' }, { multiline: true })};\n`;
+
+      const doc = docComment(tool, '  ');
+      const returns = resultType(tool, true, '  ');
+      members.push(`${doc}  ${propertyKey(tool.name)}(args: ${argsType}): ${returns};`);
+      members.push(`${doc}  ${propertyKey(tool.name)}(${positionalParameters(tool, true, '  ').join(', ')}): ${returns};`);
+    }
+
+    const features = featureDescriptions[serverName];
+    if (features?.hasResources) members.push('  $resources: McpResourceHelpers;');
+    if (features?.hasPrompts) members.push('  $prompts: McpPromptHelpers;');
+
+    declarations += `\n/** Tools of the ${serverName} MCP server */\ndeclare const ${serverName}: {\n${members.join('\n')}\n};\n`;
+  }
+
+  return declarations + ALIAS_DECLARATIONS;
+}